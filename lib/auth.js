@@ -0,0 +1,83 @@
+// ═══════════════════════════════════════════════════════════════════
+// AUTH: Local accounts, sessions and API tokens, with three roles
+//   viewer   sign in, see unpublished assets (staff preview)
+//   creator  + upload, manage own assets and collections
+//   admin    + everything: users, sites / quiz, other people's content, analytics
+//
+// Passwords: scrypt (node:crypto), stored as "scrypt$N$r$p$salt$hash".
+// Tokens: "wa_" + 40 random chars — only their SHA-256 is stored, and that hash
+// is the token document's id, so a request resolves its token with one get().
+// ═══════════════════════════════════════════════════════════════════
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+
+const ROLES = ['viewer', 'creator', 'admin'];        // ascending privileges
+const TOKEN_PREFIX = 'wa_';
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLength: 64 };
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT.keyLength, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('hex'), hash.toString('hex')].join('$');
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const given = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length, {
+    N: parseInt(N), r: parseInt(r), p: parseInt(p), maxmem: 64 * 1024 * 1024
+  });
+  return crypto.timingSafeEqual(given, expected);
+}
+
+function generateToken() {
+  return TOKEN_PREFIX + nanoid(40);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isAuthToken(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+// true when user's role is at least `role`
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role) && ROLES.includes(role);
+}
+
+function normalizeUsername(value) {
+  const name = String(value || '').trim().toLowerCase();
+  return /^[a-z0-9._-]{3,40}$/.test(name) ? name : null;
+}
+
+// Returns an error message, or null when the password is acceptable
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password.length > 200) return 'password is too long';
+  return null;
+}
+
+// What the API hands out about an account
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  isAuthToken,
+  hasRole,
+  normalizeUsername,
+  passwordProblem,
+  publicUser
+};
@@ -0,0 +1,168 @@
+// ═══════════════════════════════════════════════════════════════════
+// REPOSITORY: Pluggable document store behind one small synchronous API
+//   DB_DRIVER=sqlite (default) → data/webar.sqlite, one row per document
+//   DB_DRIVER=json             → legacy data/db.json (+ data/<collection>.json)
+//
+//   const assets = repo.collection('assets');
+//   assets.get(id) / assets.list() / assets.put(doc) / assets.update(id, fn) / assets.remove(id)
+//
+// Documents handed out are copies — mutate them through update(), never in place.
+// localCollections stay out of snapshot() / importSnapshot(): bulky, disposable
+// data (analytics) that the object storage backup shouldn't carry around.
+// Removing any other document leaves a tombstone in _tombstones, which the snapshot
+// carries, so a restore can't bring back a record deleted after the last backup.
+// ═══════════════════════════════════════════════════════════════════
+const path = require('path');
+const { createJsonDriver, readJSON } = require('./json');
+
+const SNAPSHOT_VERSION = 2;
+const TOMBSTONES = '_tombstones';
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // older ones are dropped from the snapshot
+
+const tombstoneId = (name, id) => `${name}:${id}`;
+const stamp = (doc) => doc.updatedAt || doc.createdAt || 0;
+
+function createDriver({ driver, dataDir, legacyFile }) {
+  if (driver === 'json') return createJsonDriver(dataDir, legacyFile);
+  if (driver === 'sqlite') {
+    // Required lazily so the legacy driver keeps working without the native module
+    const { createSqliteDriver } = require('./sqlite');
+    return createSqliteDriver(path.join(dataDir, 'webar.sqlite'));
+  }
+  throw new Error(`Unknown DB_DRIVER "${driver}" (expected sqlite or json)`);
+}
+
+function openRepository({ driver = 'sqlite', dataDir, legacyFile, localCollections = [] }) {
+  const store = createDriver({ driver, dataDir, legacyFile });
+  let revision = 0; // bumped on every snapshotted write — lets the snapshot timer skip idle periods
+
+  function collection(name) {
+    const bump = localCollections.includes(name) ? 0 : 1;
+    return {
+      get(id) {
+        return id ? store.read(name, id) : null;
+      },
+      list() {
+        return store.readAll(name);
+      },
+      has(id) {
+        return !!store.read(name, id);
+      },
+      put(doc) {
+        if (!doc || !doc.id) throw new Error(`${name}.put: document needs an id`);
+        const saved = { ...doc, updatedAt: Date.now() };
+        store.write(name, saved.id, saved);
+        revision += bump;
+        return saved;
+      },
+      // Atomic read-modify-write of a single document.
+      // fn may mutate the copy it receives or return a replacement; returns null if missing
+      update(id, fn) {
+        return store.transaction(() => {
+          const current = store.read(name, id);
+          if (!current) return null;
+          const next = fn(current) || current;
+          next.id = id;
+          next.updatedAt = Date.now();
+          store.write(name, id, next);
+          revision += bump;
+          return next;
+        });
+      },
+      remove(id) {
+        return store.transaction(() => {
+          const removed = store.remove(name, id);
+          if (!removed || !bump) return removed;
+          const deletedAt = Date.now();
+          const key = tombstoneId(name, id);
+          store.write(TOMBSTONES, key, { id: key, collection: name, docId: id, deletedAt, updatedAt: deletedAt });
+          revision += bump;
+          return removed;
+        });
+      }
+    };
+  }
+
+  // Whole-store dump used for the periodic object storage backup
+  function snapshot() {
+    const collections = {};
+    const tombstoneCutoff = Date.now() - TOMBSTONE_TTL_MS;
+    for (const name of store.collections()) {
+      if (localCollections.includes(name)) continue;
+      collections[name] = {};
+      for (const doc of store.readAll(name)) {
+        if (name === TOMBSTONES && doc.deletedAt < tombstoneCutoff) {
+          store.remove(TOMBSTONES, doc.id);
+          continue;
+        }
+        collections[name][doc.id] = doc;
+      }
+    }
+    return { version: SNAPSHOT_VERSION, createdAt: Date.now(), driver: store.name, collections };
+  }
+
+  // Merge a snapshot document-by-document: missing docs are added, existing ones are
+  // only replaced when the snapshot copy is newer, and a doc is skipped (or removed
+  // locally) when a tombstone on either side is at least as new as it
+  function importSnapshot(data) {
+    const collections = data && data.version === SNAPSHOT_VERSION
+      ? data.collections
+      : { assets: data || {} }; // pre-repository backups were a flat asset map
+    const entries = Object.entries(collections || {});
+    // Tombstones first, so the documents below are checked against both sides' deletions
+    entries.sort(([a], [b]) => (b === TOMBSTONES) - (a === TOMBSTONES));
+    let imported = 0;
+    for (const [name, docs] of entries) {
+      if (localCollections.includes(name)) continue; // older snapshots still carry them
+      for (const [id, doc] of Object.entries(docs || {})) {
+        if (!doc || typeof doc !== 'object') continue;
+        if (name === TOMBSTONES && (typeof doc.collection !== 'string' || typeof doc.docId !== 'string' || !doc.deletedAt)) continue;
+        const written = store.transaction(() => {
+          let changed = false;
+          const local = store.read(name, id);
+          if (!local || stamp(local) < stamp(doc)) {
+            const tombstone = name === TOMBSTONES ? null : store.read(TOMBSTONES, tombstoneId(name, id));
+            if (tombstone && tombstone.deletedAt >= stamp(doc)) return false;
+            store.write(name, id, { ...doc, id });
+            changed = true;
+          }
+          // A deletion the snapshot knows about and this store doesn't yet
+          if (name === TOMBSTONES) {
+            const deleted = store.read(doc.collection, doc.docId);
+            if (deleted && stamp(deleted) <= doc.deletedAt) changed = store.remove(doc.collection, doc.docId) || changed;
+          }
+          return changed;
+        });
+        if (written) imported++;
+      }
+    }
+    if (imported) revision++;
+    return imported;
+  }
+
+  return {
+    driver: store.name,
+    file: store.file,
+    collection,
+    snapshot,
+    importSnapshot,
+    get revision() { return revision; },
+    close: () => store.close()
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// MIGRATION: Import an existing data/db.json into the repository once
+// A marker in the _meta collection stops it from re-running on every boot
+// ═══════════════════════════════════════════════════════════════════
+function migrateLegacyJSON(repo, legacyFile, { force = false } = {}) {
+  if (repo.driver === 'json') return 0; // already reading that file directly
+  const meta = repo.collection('_meta');
+  if (!force && meta.get('legacy-json')) return 0;
+  const legacy = readJSON(legacyFile);
+  const imported = repo.importSnapshot(legacy);
+  meta.put({ id: 'legacy-json', file: legacyFile, imported, migratedAt: Date.now() });
+  return imported;
+}
+
+module.exports = { openRepository, migrateLegacyJSON, SNAPSHOT_VERSION };
@@ -0,0 +1,69 @@
+// ═══════════════════════════════════════════════════════════════════
+// LEGACY JSON DRIVER: The original data/db.json layout (flat id → asset map)
+// Other collections live next to it as data/<collection>.json
+// Files are rewritten via tmp + rename so a crash never leaves half a file
+// ═══════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const path = require('path');
+
+function readJSON(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (e) { return {}; }
+}
+
+function writeJSONAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function createJsonDriver(dataDir, legacyFile) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const cache = new Map(); // collection -> { id: doc }
+
+  const fileFor = (collection) => collection === 'assets'
+    ? legacyFile
+    : path.join(dataDir, `${collection}.json`);
+
+  function load(collection) {
+    if (!cache.has(collection)) cache.set(collection, readJSON(fileFor(collection)));
+    return cache.get(collection);
+  }
+
+  return {
+    name: 'json',
+    file: legacyFile,
+    read(collection, id) {
+      const doc = load(collection)[id];
+      return doc ? structuredClone(doc) : null;
+    },
+    readAll(collection) {
+      return Object.values(load(collection)).map(doc => structuredClone(doc));
+    },
+    write(collection, id, doc) {
+      const docs = load(collection);
+      docs[id] = structuredClone(doc);
+      writeJSONAtomic(fileFor(collection), docs);
+    },
+    remove(collection, id) {
+      const docs = load(collection);
+      if (!(id in docs)) return false;
+      delete docs[id];
+      writeJSONAtomic(fileFor(collection), docs);
+      return true;
+    },
+    collections() {
+      const names = fs.readdirSync(dataDir)
+        .filter(f => f.endsWith('.json') && path.join(dataDir, f) !== legacyFile)
+        .map(f => f.slice(0, -'.json'.length));
+      return ['assets', ...names];
+    },
+    // Everything above is synchronous, so a callback can't be interleaved with another write
+    transaction(fn) {
+      return fn();
+    },
+    close() {}
+  };
+}
+
+module.exports = { createJsonDriver, readJSON };
@@ -0,0 +1,64 @@
+// ═══════════════════════════════════════════════════════════════════
+// SQLITE DRIVER: One row per document → each write touches only its own row
+// WAL mode so readers never block the (single) writer
+// ═══════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+function createSqliteDriver(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      collection TEXT NOT NULL,
+      id         TEXT NOT NULL,
+      data       TEXT NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `);
+
+  const stmts = {
+    read: db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+    readAll: db.prepare('SELECT data FROM documents WHERE collection = ? ORDER BY rowid'),
+    write: db.prepare(`
+      INSERT INTO documents (collection, id, data, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `),
+    remove: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+    collections: db.prepare('SELECT DISTINCT collection FROM documents'),
+  };
+
+  return {
+    name: 'sqlite',
+    file,
+    read(collection, id) {
+      const row = stmts.read.get(collection, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    readAll(collection) {
+      return stmts.readAll.all(collection).map(row => JSON.parse(row.data));
+    },
+    write(collection, id, doc) {
+      stmts.write.run(collection, id, JSON.stringify(doc), doc.updatedAt || Date.now());
+    },
+    remove(collection, id) {
+      return stmts.remove.run(collection, id).changes > 0;
+    },
+    collections() {
+      return stmts.collections.all().map(row => row.collection);
+    },
+    // better-sqlite3 transactions are synchronous → read-modify-write can't interleave
+    transaction(fn) {
+      return db.transaction(fn)();
+    },
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteDriver };
@@ -0,0 +1,83 @@
+// ═══════════════════════════════════════════════════════════════════
+// CHARACTER EFFECTS: Schema for asset.effects (rendered by viewer.html)
+//
+// Each effect:
+//   type       particles | fire | smoke | aura | lightning
+//   trigger    summon (with the summon animation) | clip (while an animation
+//              clip plays) | loop (always on)
+//   clip       animation clip name — required for trigger 'clip'; matched against
+//              the asset's clip names or their display names, stored as the raw name
+//   start      seconds after the trigger fires
+//   duration   seconds; 0 = as long as the trigger lasts (summon = 2.5s)
+//   color      #rrggbb
+//   intensity  0.1 – 2 (particle count + brightness)
+//   anchor     feet | body | head
+// ═══════════════════════════════════════════════════════════════════
+const EFFECT_TYPES = {
+  particles: { color: '#ffd700', anchor: 'body', duration: 2.5 },
+  fire: { color: '#ff6a00', anchor: 'feet', duration: 2.5 },
+  smoke: { color: '#9a9a9a', anchor: 'feet', duration: 3 },
+  aura: { color: '#d4af37', anchor: 'body', duration: 0 },
+  lightning: { color: '#9fd8ff', anchor: 'head', duration: 1.5 }
+};
+const EFFECT_TRIGGERS = ['summon', 'clip', 'loop'];
+const EFFECT_ANCHORS = ['feet', 'body', 'head'];
+const MAX_EFFECTS = 12;
+const MAX_EFFECT_SECONDS = 60;
+
+function clampNumber(value, min, max, fallback) {
+  const n = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(n)) return fallback;
+  return Math.min(Math.max(n, min), max);
+}
+
+// animations: the asset's [{ name, displayName }] list, used to resolve clip references.
+// Pass null when the clips aren't known yet (FBX before conversion): clip names are
+// kept as given and resolved by a second pass later.
+// Returns { effects, errors } — invalid entries are dropped and explained in errors.
+function normalizeEffects(raw, { animations = [] } = {}) {
+  const errors = [];
+  if (raw === undefined || raw === null) return { effects: [], errors };
+  if (!Array.isArray(raw)) return { effects: [], errors: ['effects must be an array'] };
+
+  const effects = [];
+  raw.slice(0, MAX_EFFECTS).forEach((entry, i) => {
+    if (!entry || typeof entry !== 'object') return errors.push(`effects[${i}]: must be an object`);
+    const type = String(entry.type || '').toLowerCase();
+    const defaults = EFFECT_TYPES[type];
+    if (!defaults) return errors.push(`effects[${i}]: unknown type "${entry.type}" (${Object.keys(EFFECT_TYPES).join(', ')})`);
+
+    const trigger = entry.trigger ? String(entry.trigger).toLowerCase() : (entry.clip ? 'clip' : 'summon');
+    if (!EFFECT_TRIGGERS.includes(trigger)) return errors.push(`effects[${i}]: unknown trigger "${entry.trigger}"`);
+
+    let clip = null;
+    if (trigger === 'clip' && animations === null) {
+      clip = String(entry.clip || '').trim();
+      if (!clip) return errors.push(`effects[${i}]: trigger "clip" needs a clip name`);
+    } else if (trigger === 'clip') {
+      const wanted = String(entry.clip || '').trim().toLowerCase();
+      const match = animations.find(a =>
+        (a.name && a.name.toLowerCase() === wanted) ||
+        (a.displayName && a.displayName.toLowerCase() === wanted));
+      if (!match) return errors.push(`effects[${i}]: clip "${entry.clip || ''}" not found in the model's animations`);
+      clip = match.name;
+    }
+
+    const anchor = EFFECT_ANCHORS.includes(entry.anchor) ? entry.anchor : defaults.anchor;
+    const color = /^#[0-9a-f]{6}$/i.test(entry.color || '') ? entry.color.toLowerCase() : defaults.color;
+    effects.push({
+      type,
+      trigger,
+      clip,
+      start: clampNumber(entry.start, 0, MAX_EFFECT_SECONDS, 0),
+      duration: clampNumber(entry.duration, 0, MAX_EFFECT_SECONDS, defaults.duration),
+      color,
+      intensity: clampNumber(entry.intensity, 0.1, 2, 1),
+      anchor
+    });
+  });
+  if (raw.length > MAX_EFFECTS) errors.push(`only the first ${MAX_EFFECTS} effects are kept`);
+  return { effects, errors };
+}
+
+module.exports = { normalizeEffects, EFFECT_TYPES, EFFECT_TRIGGERS, EFFECT_ANCHORS, MAX_EFFECTS };
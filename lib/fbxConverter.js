@@ -0,0 +1,54 @@
+// ═══════════════════════════════════════════════════════════════════
+// FBX → GLB: Runs the FBX2glTF binary bundled with the `fbx2gltf` package
+// (or FBX2GLTF_PATH). Animations, skins and embedded textures are kept.
+// Returns { done, cancel } so the job queue can kill a stuck conversion.
+// ═══════════════════════════════════════════════════════════════════
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function converterBinary() {
+  if (process.env.FBX2GLTF_PATH) return process.env.FBX2GLTF_PATH;
+  const pkgDir = path.dirname(require.resolve('fbx2gltf/package.json'));
+  const bin = path.join(pkgDir, 'bin', os.type(), os.type() === 'Windows_NT' ? 'FBX2glTF.exe' : 'FBX2glTF');
+  if (!fs.existsSync(bin)) throw new Error(`FBX2glTF binary not available for ${os.type()}`);
+  // npm doesn't always keep the exec bit on the bundled binary
+  try {
+    fs.accessSync(bin, fs.constants.X_OK);
+  } catch (_) {
+    fs.chmodSync(bin, 0o755);
+  }
+  return bin;
+}
+
+function convertFBXToGLB(inputPath, outputPath) {
+  let child = null;
+  const done = new Promise((resolve, reject) => {
+    // FBX2glTF appends .glb to --output itself
+    const outputBase = outputPath.replace(/\.glb$/i, '');
+    child = spawn(converterBinary(), ['--binary', '--input', inputPath, '--output', outputBase]);
+
+    let output = '';
+    child.stdout.on('data', d => { output += d; });
+    child.stderr.on('data', d => { output += d; });
+    child.on('error', err => reject(new Error(`FBX converter failed to start: ${err.message}`)));
+    child.on('close', (code, signal) => {
+      // The FBX SDK may leave a <name>.fbm folder of extracted textures next to the source
+      const fbmDir = inputPath.replace(/\.fbx$/i, '.fbm');
+      fs.rm(fbmDir, { recursive: true, force: true }, () => {});
+
+      if (code === 0 && fs.existsSync(outputPath)) return resolve(outputPath);
+      const lastLines = output.trim().split('\n').slice(-3).join(' ').trim();
+      reject(new Error(signal
+        ? `FBX conversion killed (${signal})`
+        : `FBX conversion failed (code ${code})${lastLines ? `: ${lastLines}` : ''}`));
+    });
+  });
+  return {
+    done,
+    cancel: () => { if (child) child.kill('SIGKILL'); }
+  };
+}
+
+module.exports = { convertFBXToGLB };
@@ -0,0 +1,209 @@
+// ═══════════════════════════════════════════════════════════════════
+// glTF PACKAGER: .gltf + external .bin / textures (folder or .zip) → one .glb
+// No glTF library — buffers are concatenated into a single BIN chunk and
+// images become bufferViews, so any extension the file uses passes through.
+// Every external URI must resolve, otherwise nothing is packed and the
+// error lists the missing files (err.missing).
+// ═══════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const path = require('path');
+const { unzipSync } = require('fflate');
+
+const GLB_MAGIC = 0x46546C67; // 'glTF'
+const CHUNK_JSON = 0x4E4F534A;
+const CHUNK_BIN = 0x004E4942;
+
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ktx2': 'image/ktx2'
+};
+
+// Normalised relative path: forward slashes, no leading ./ or /
+function normalizeEntryPath(name) {
+  return path.posix.normalize(String(name).replace(/\\/g, '/')).replace(/^(\.\/|\/)+/, '');
+}
+
+// Zip → Map(relative path → Buffer). macOS resource forks and folders are skipped.
+// Everything is unpacked in memory, so refuse archives that expand past maxBytes.
+function readZipEntries(zipBuffer, { maxBytes = 600 * 1024 * 1024 } = {}) {
+  let total = 0;
+  const entries = unzipSync(new Uint8Array(zipBuffer.buffer, zipBuffer.byteOffset, zipBuffer.byteLength), {
+    filter: f => {
+      if (f.name.endsWith('/') || f.name.startsWith('__MACOSX/') || path.posix.basename(f.name).startsWith('._')) return false;
+      total += f.originalSize;
+      if (total > maxBytes) throw new Error(`Zip expands to more than ${Math.round(maxBytes / 1048576)}MB`);
+      return true;
+    }
+  });
+  const files = new Map();
+  for (const [name, data] of Object.entries(entries)) {
+    files.set(normalizeEntryPath(name), Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+  }
+  return files;
+}
+
+// The model inside a folder/zip: the shallowest .gltf, or a .glb (used as-is) when there is none
+function findModelEntry(files) {
+  const names = [...files.keys()];
+  const byDepth = (a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b);
+  const gltf = names.filter(n => /\.gltf$/i.test(n)).sort(byDepth);
+  if (gltf.length > 0) return gltf[0];
+  const glb = names.filter(n => /\.glb$/i.test(n)).sort(byDepth);
+  return glb[0] || null;
+}
+
+function decodeDataURI(uri) {
+  const comma = uri.indexOf(',');
+  if (comma === -1) return null;
+  const meta = uri.slice(5, comma);
+  const payload = uri.slice(comma + 1);
+  return meta.endsWith(';base64') ? Buffer.from(payload, 'base64') : Buffer.from(decodeURIComponent(payload), 'utf8');
+}
+
+// "data:image/png;base64,…" → "image/png" (null when the URI names no type)
+function dataURIMimeType(uri) {
+  const comma = uri.indexOf(',');
+  const mime = uri.slice(5, comma === -1 ? uri.length : comma).split(';')[0].trim();
+  return mime || null;
+}
+
+// URIs are relative to the .gltf and may be URL-encoded. Flat multi-file selections
+// lose their folders, so fall back to a unique file-name match.
+function resolveURI(uri, gltfEntry, files) {
+  if (uri.startsWith('data:')) return decodeDataURI(uri);
+  let decoded = uri;
+  try { decoded = decodeURIComponent(uri); } catch (_) {}
+  const wanted = normalizeEntryPath(path.posix.join(path.posix.dirname(gltfEntry), decoded));
+  if (files.has(wanted)) return files.get(wanted);
+  const base = path.posix.basename(wanted).toLowerCase();
+  const sameName = [...files.keys()].filter(n => path.posix.basename(n).toLowerCase() === base);
+  return sameName.length === 1 ? files.get(sameName[0]) : null;
+}
+
+const pad4 = n => (4 - (n % 4)) % 4;
+
+function packGLTF(gltfEntry, files) {
+  let json;
+  try {
+    json = JSON.parse(files.get(gltfEntry).toString('utf8'));
+  } catch (e) {
+    throw new Error(`${gltfEntry} is not valid glTF JSON: ${e.message}`);
+  }
+
+  // 1. Resolve everything first so a broken upload reports ALL missing files at once
+  const missing = [];
+  const buffers = (json.buffers || []).map((b, i) => {
+    if (!b.uri) {
+      missing.push(`buffers[${i}] (no uri)`);
+      return null;
+    }
+    const data = resolveURI(b.uri, gltfEntry, files);
+    if (!data) missing.push(b.uri);
+    else if (data.length < b.byteLength) missing.push(`${b.uri} (truncated: ${data.length}/${b.byteLength} bytes)`);
+    return data;
+  });
+  const images = (json.images || []).map(img => {
+    if (!img.uri) return null; // already in a bufferView
+    const data = resolveURI(img.uri, gltfEntry, files);
+    if (!data) missing.push(img.uri);
+    return data;
+  });
+  if (missing.length > 0) {
+    const err = new Error(`Missing ${missing.length} file(s) referenced by ${path.posix.basename(gltfEntry)}: ${missing.join(', ')}`);
+    err.missing = missing;
+    throw err;
+  }
+
+  // 2. One BIN chunk: every buffer, then every external image (4-byte aligned)
+  const parts = [];
+  let length = 0;
+  const append = (data) => {
+    const offset = length;
+    parts.push(data);
+    length += data.length;
+    const padding = pad4(length);
+    if (padding) { parts.push(Buffer.alloc(padding)); length += padding; }
+    return offset;
+  };
+
+  const bufferOffsets = buffers.map((data, i) => append(data.subarray(0, json.buffers[i].byteLength)));
+  for (const view of json.bufferViews || []) {
+    view.byteOffset = (view.byteOffset || 0) + bufferOffsets[view.buffer];
+    view.buffer = 0;
+  }
+
+  json.bufferViews = json.bufferViews || [];
+  images.forEach((data, i) => {
+    if (!data) return;
+    const img = json.images[i];
+    const byteOffset = append(data);
+    json.bufferViews.push({ buffer: 0, byteOffset, byteLength: data.length });
+    img.bufferView = json.bufferViews.length - 1;
+    if (!img.mimeType) {
+      const ext = path.extname(img.uri.startsWith('data:') ? '' : img.uri.split('?')[0]).toLowerCase();
+      const dataMime = img.uri.startsWith('data:') ? dataURIMimeType(img.uri) : null;
+      img.mimeType = dataMime || IMAGE_MIME_TYPES[ext] || 'image/png';
+    }
+    delete img.uri;
+  });
+
+  if (json.bufferViews.length === 0) delete json.bufferViews;
+  if (length > 0) json.buffers = [{ byteLength: length }];
+  else delete json.buffers;
+
+  // 3. GLB container: header + JSON chunk (space padded) + BIN chunk (zero padded)
+  const jsonBuf = Buffer.from(JSON.stringify(json), 'utf8');
+  const jsonChunk = Buffer.concat([jsonBuf, Buffer.alloc(pad4(jsonBuf.length), 0x20)]);
+  const chunks = [chunkHeader(jsonChunk.length, CHUNK_JSON), jsonChunk];
+  if (length > 0) chunks.push(chunkHeader(length, CHUNK_BIN), ...parts);
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(GLB_MAGIC, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + chunks.reduce((n, c) => n + c.length, 0), 8);
+  return Buffer.concat([header, ...chunks]);
+}
+
+function chunkHeader(length, type) {
+  const h = Buffer.alloc(8);
+  h.writeUInt32LE(length, 0);
+  h.writeUInt32LE(type, 4);
+  return h;
+}
+
+// files: Map(relative path → Buffer) from a folder upload or readZipEntries()
+// Returns { glb: Buffer, entry } — entry is the model file that was used
+function packModelFiles(files) {
+  const entry = findModelEntry(files);
+  if (!entry) throw new Error('No .gltf or .glb file found in the upload');
+  if (/\.glb$/i.test(entry)) return { glb: files.get(entry), entry };
+  return { glb: packGLTF(entry, files), entry };
+}
+
+// Multer files → Map keyed by the path the browser sent (folder uploads keep sub-folders)
+function filesFromUploads(uploads) {
+  const files = new Map();
+  for (const f of uploads) files.set(normalizeEntryPath(f.originalname), fs.readFileSync(f.path));
+  return files;
+}
+
+module.exports = { packModelFiles, packGLTF, readZipEntries, filesFromUploads };
+
+// Child-process entry: server.js forks this file so unpacking a big zip neither
+// blocks the server's event loop nor keeps the buffers in its heap.
+//   { output, zip } or { output, files: [{ originalname, path }] }
+//   → { type: 'done', entry, files, size } | { type: 'error', message, missing? }
+if (require.main === module) {
+  process.once('message', (msg) => {
+    try {
+      const files = msg.zip ? readZipEntries(fs.readFileSync(msg.zip)) : filesFromUploads(msg.files);
+      const { glb, entry } = packModelFiles(files);
+      fs.writeFileSync(msg.output, glb);
+      process.send({ type: 'done', entry, files: files.size, size: glb.length }, () => process.exit(0));
+    } catch (e) {
+      process.send({ type: 'error', message: e.message, ...(e.missing ? { missing: e.missing } : {}) }, () => process.exit(1));
+    }
+  });
+}
@@ -0,0 +1,206 @@
+// ═══════════════════════════════════════════════════════════════════
+// JOB QUEUE: Durable background jobs stored in a repository collection
+//   - bounded concurrency (jobs beyond the limit wait in 'queued')
+//   - retry with exponential backoff, failure reason kept on the job
+//   - per-stage progress reported by the worker
+//   - survives restarts: jobs left 'running' by a dead process are re-queued
+//
+// One job per id (we key optimization jobs by asset id), statuses:
+//   queued → running → done | (queued again for retry) | failed
+// ═══════════════════════════════════════════════════════════════════
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+function createJobQueue({
+  store,                 // repository collection, e.g. repo.collection('jobs')
+  worker,                // async (job, ctx) => void — throw to fail the attempt
+  stages = [],           // ordered stage names used to compute overall progress
+  concurrency = 1,
+  maxAttempts = 3,
+  retryBaseMs = 30 * 1000,
+  timeoutMs = 5 * 60 * 1000,
+  pollMs = 2000,
+  onSettled = () => {}   // (job) => void, called after done / final failure
+}) {
+  const running = new Map(); // id -> { cancel }
+  let timer = null;
+
+  function overallProgress(job) {
+    if (job.status === 'done') return 1;
+    if (!stages.length || !job.stage) return 0;
+    const idx = stages.indexOf(job.stage);
+    if (idx === -1) return 0;
+    const stageProgress = (job.stages[job.stage] && job.stages[job.stage].progress) || 0;
+    return Math.min(1, (idx + stageProgress) / stages.length);
+  }
+
+  function emptyStages() {
+    return Object.fromEntries(stages.map(s => [s, { status: 'pending', progress: 0 }]));
+  }
+
+  // Add a job (or return the existing one). A finished or failed job is only
+  // reset when force is set — otherwise polling clients would loop on a broken model.
+  function enqueue(id, data = {}, { force = false } = {}) {
+    const existing = store.get(id);
+    if (existing && ACTIVE_STATUSES.includes(existing.status)) return existing;
+    if (existing && !force) return existing;
+    const job = store.put({
+      id,
+      ...data,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts,
+      runAfter: 0,
+      stage: null,
+      stages: emptyStages(),
+      progress: 0,
+      error: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
+    });
+    setImmediate(pump);
+    return job;
+  }
+
+  function get(id) {
+    const job = store.get(id);
+    if (!job) return null;
+    return { ...job, progress: overallProgress(job) };
+  }
+
+  function isActive(id) {
+    const job = store.get(id);
+    return !!job && ACTIVE_STATUSES.includes(job.status);
+  }
+
+  // Stop a running attempt (if any) and forget the job entirely
+  function cancel(id) {
+    const handle = running.get(id);
+    running.delete(id);
+    if (handle) {
+      try { handle.cancel(); } catch (_) {}
+    }
+    return store.remove(id);
+  }
+
+  function reportProgress(id, stage, progress = 0) {
+    store.update(id, job => {
+      if (!job.stages) job.stages = emptyStages();
+      // Entering a new stage marks every earlier stage complete
+      const idx = stages.indexOf(stage);
+      stages.forEach((s, i) => {
+        if (i < idx && job.stages[s].status !== 'done') job.stages[s] = { status: 'done', progress: 1 };
+      });
+      job.stage = stage;
+      job.stages[stage] = { status: progress >= 1 ? 'done' : 'running', progress: Math.max(0, Math.min(1, progress)) };
+    });
+  }
+
+  function runJob(job) {
+    const startedAt = Date.now();
+    const claimed = store.update(job.id, j => {
+      j.status = 'running';
+      j.attempts = (j.attempts || 0) + 1;
+      j.startedAt = startedAt;
+      j.stage = null;
+      j.stages = emptyStages();
+      j.error = null;
+    });
+    if (!claimed) return;
+
+    let cancelFn = () => {};
+    let timedOut = false;
+    let killTimer;
+    running.set(job.id, { cancel: () => cancelFn() });
+    // The timer fails the attempt by itself: a worker stuck somewhere its cancel hook
+    // doesn't reach would otherwise hold the slot forever. Whatever it is still doing
+    // can't report progress on this job any more.
+    const timeout = new Promise((_, reject) => {
+      killTimer = setTimeout(() => {
+        timedOut = true;
+        console.log(`⏰ Job ${job.id} timed out after ${Math.round(timeoutMs / 1000)}s`);
+        try { cancelFn(); } catch (_) {}
+        reject(new Error(`Timed out after ${Math.round(timeoutMs / 1000)}s`));
+      }, timeoutMs);
+    });
+
+    const ctx = {
+      progress: (stage, progress) => { if (!timedOut) reportProgress(job.id, stage, progress); },
+      onCancel: (fn) => { cancelFn = fn; }
+    };
+
+    Promise.race([Promise.resolve().then(() => worker(claimed, ctx)), timeout])
+      .then(() => {
+        if (timedOut) throw new Error(`Timed out after ${Math.round(timeoutMs / 1000)}s`);
+        return store.update(job.id, j => {
+          j.status = 'done';
+          j.finishedAt = Date.now();
+          j.stages = Object.fromEntries(stages.map(s => [s, { status: 'done', progress: 1 }]));
+          j.stage = stages[stages.length - 1] || null;
+          j.progress = 1;
+        });
+      })
+      .catch((err) => {
+        const reason = timedOut ? `Timed out after ${Math.round(timeoutMs / 1000)}s` : (err && err.message) || String(err);
+        return store.update(job.id, j => {
+          j.error = reason;
+          j.finishedAt = Date.now();
+          if (j.attempts < (j.maxAttempts || maxAttempts)) {
+            // 30s, 60s, 120s… with the defaults
+            j.status = 'queued';
+            j.runAfter = Date.now() + retryBaseMs * Math.pow(2, j.attempts - 1);
+            console.log(`🔁 Job ${job.id} failed (attempt ${j.attempts}/${j.maxAttempts}): ${reason} — retry in ${Math.round((j.runAfter - Date.now()) / 1000)}s`);
+          } else {
+            j.status = 'failed';
+            console.log(`❌ Job ${job.id} failed permanently after ${j.attempts} attempt(s): ${reason}`);
+          }
+        });
+      })
+      .then((settled) => {
+        // settled is null when the job was cancelled (removed) mid-run
+        if (settled && (settled.status === 'done' || settled.status === 'failed')) {
+          try { onSettled(settled); } catch (e) { console.log('Job onSettled error:', e.message); }
+        }
+      })
+      // The store itself failed (e.g. SQLite) — the job stays 'running' until recover()
+      .catch(e => console.log(`Job ${job.id} store error:`, e.message))
+      .finally(() => {
+        clearTimeout(killTimer);
+        running.delete(job.id);
+        setImmediate(pump);
+      });
+  }
+
+  // Nothing runs before start() — the owner may still be restoring the store
+  function pump() {
+    if (!timer || running.size >= concurrency) return;
+    const now = Date.now();
+    const ready = store.list()
+      .filter(j => j.status === 'queued' && (j.runAfter || 0) <= now && !running.has(j.id))
+      .sort((a, b) => (a.runAfter || a.createdAt) - (b.runAfter || b.createdAt));
+    for (const job of ready.slice(0, concurrency - running.size)) runJob(job);
+  }
+
+  // Jobs marked 'running' in the store but not in this process were interrupted by a restart
+  function recover() {
+    let recovered = 0;
+    for (const job of store.list()) {
+      if (job.status === 'running' && !running.has(job.id)) {
+        store.update(job.id, j => { j.status = 'queued'; j.runAfter = 0; j.error = 'Interrupted by server restart'; });
+        recovered++;
+      }
+    }
+    return recovered;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(pump, pollMs);
+    timer.unref();
+    pump();
+  }
+
+  return { enqueue, get, isActive, cancel, recover, start, list: () => store.list() };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,195 @@
+// ═══════════════════════════════════════════════════════════════════
+// MODEL VALIDATION: Report for an uploaded GLB, stored as asset.validation
+// Khronos glTF-Validator (structure, accessors, missing buffers) plus the
+// checks that matter for the phone viewer: extensions GLTFLoader can't read,
+// skinned meshes without joint weights, texture sizes and vertex budget.
+//
+// Report: { valid, errors: [issue], warnings: [issue], stats, validatedAt }
+//   issue: { code, message, pointer? } — valid is false when errors is non-empty
+// ═══════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const sharp = require('sharp');
+const gltfValidator = require('gltf-validator');
+
+// Everything public/lib/GLTFLoader.js (r147) handles
+const VIEWER_EXTENSIONS = new Set([
+  'KHR_draco_mesh_compression',
+  'KHR_lights_punctual',
+  'KHR_materials_clearcoat',
+  'KHR_materials_ior',
+  'KHR_materials_sheen',
+  'KHR_materials_specular',
+  'KHR_materials_transmission',
+  'KHR_materials_iridescence',
+  'KHR_materials_unlit',
+  'KHR_materials_volume',
+  'KHR_materials_emissive_strength',
+  'KHR_texture_basisu', // with /lib/KTX2Loader.js
+  'KHR_texture_transform',
+  'KHR_mesh_quantization',
+  'EXT_texture_webp',
+  'EXT_meshopt_compression',
+  'EXT_mesh_gpu_instancing'
+]);
+
+const LIMITS = {
+  maxTextureSize: 4096,        // largest texture most phones can upload
+  warnVertices: 500000,        // the mobile variant targets <100k — above this the desktop one is slow too
+  maxVertices: 5000000,        // nothing this dense renders on a phone
+  maxIssues: 50,               // per list — the rest is summarised
+  fullValidationMB: 200        // glTF-Validator holds the whole file in memory; bigger files get the viewer checks only
+};
+
+const GLB_MAGIC = 0x46546C67;
+const CHUNK_JSON = 0x4E4F534A;
+const CHUNK_BIN = 0x004E4942;
+
+function readGLB(buf) {
+  if (buf.length < 20 || buf.readUInt32LE(0) !== GLB_MAGIC) throw new Error('Not a binary glTF (.glb) file');
+  let json = null;
+  let bin = null;
+  let offset = 12;
+  while (offset + 8 <= buf.length) {
+    const length = buf.readUInt32LE(offset);
+    const type = buf.readUInt32LE(offset + 4);
+    const data = buf.subarray(offset + 8, offset + 8 + length);
+    if (type === CHUNK_JSON) json = JSON.parse(data.toString('utf8'));
+    else if (type === CHUNK_BIN && !bin) bin = data;
+    offset += 8 + length;
+  }
+  if (!json) throw new Error('GLB has no JSON chunk');
+  return { json, bin };
+}
+
+const isPowerOfTwo = n => n > 0 && (n & (n - 1)) === 0;
+
+// KTX2 stores its size in the header; everything else goes through sharp
+async function imageSize(data, mimeType) {
+  if (mimeType === 'image/ktx2' && data.length >= 28) {
+    return { width: data.readUInt32LE(20), height: data.readUInt32LE(24) };
+  }
+  const meta = await sharp(data).metadata();
+  return { width: meta.width, height: meta.height };
+}
+
+// The viewer-specific checks — work on the parsed GLB even when glTF-Validator is skipped
+async function checkForViewer(json, bin, report) {
+  const { errors, warnings, stats } = report;
+
+  for (const ext of json.extensionsRequired || []) {
+    if (!VIEWER_EXTENSIONS.has(ext)) {
+      errors.push({ code: 'UNSUPPORTED_EXTENSION_REQUIRED', message: `Required extension ${ext} is not supported by the viewer — the model will not load`, pointer: '/extensionsRequired' });
+    }
+  }
+  for (const ext of json.extensionsUsed || []) {
+    if (!VIEWER_EXTENSIONS.has(ext) && !(json.extensionsRequired || []).includes(ext)) {
+      warnings.push({ code: 'UNSUPPORTED_EXTENSION', message: `Extension ${ext} is not supported by the viewer and will be ignored`, pointer: '/extensionsUsed' });
+    }
+  }
+
+  // A skinned node whose primitives have no JOINTS_0/WEIGHTS_0 stands still in its bind pose
+  // (skipped where glTF-Validator already reported the node)
+  (json.nodes || []).forEach((node, i) => {
+    if (node.skin === undefined || node.mesh === undefined) return;
+    const mesh = (json.meshes || [])[node.mesh];
+    if (!mesh) return;
+    const unweighted = (mesh.primitives || []).filter(p => !p.attributes || p.attributes.JOINTS_0 === undefined || p.attributes.WEIGHTS_0 === undefined);
+    const flagged = errors.some(e => e.pointer === `/nodes/${i}`);
+    if (unweighted.length > 0 && !flagged) {
+      warnings.push({ code: 'SKIN_WITHOUT_WEIGHTS', message: `Node "${node.name || i}" is skinned but ${unweighted.length} primitive(s) have no joint weights — they won't follow the animation`, pointer: `/nodes/${i}` });
+    }
+  });
+
+  // Textures: only images embedded in the BIN chunk can be measured
+  let maxTextureSize = 0;
+  for (let i = 0; i < (json.images || []).length; i++) {
+    const img = json.images[i];
+    const view = img.bufferView !== undefined ? (json.bufferViews || [])[img.bufferView] : null;
+    if (!view || !bin || view.buffer !== 0) continue;
+    const data = bin.subarray(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength);
+    let size;
+    try {
+      size = await imageSize(data, img.mimeType);
+    } catch (e) {
+      errors.push({ code: 'IMAGE_UNREADABLE', message: `Image "${img.name || i}" could not be decoded (${img.mimeType || 'unknown type'})`, pointer: `/images/${i}` });
+      continue;
+    }
+    const { width, height } = size;
+    maxTextureSize = Math.max(maxTextureSize, width, height);
+    if (width > LIMITS.maxTextureSize || height > LIMITS.maxTextureSize) {
+      warnings.push({ code: 'TEXTURE_TOO_LARGE', message: `Image "${img.name || i}" is ${width}×${height} — phones are limited to ${LIMITS.maxTextureSize}px, it will be downscaled`, pointer: `/images/${i}` });
+    }
+    if (!isPowerOfTwo(width) || !isPowerOfTwo(height)) {
+      warnings.push({ code: 'TEXTURE_NOT_POWER_OF_TWO', message: `Image "${img.name || i}" is ${width}×${height} (not a power of two) — older phones can't mipmap it`, pointer: `/images/${i}` });
+    }
+  }
+  stats.textures = (json.images || []).length;
+  stats.maxTextureSize = maxTextureSize;
+  stats.animations = (json.animations || []).length;
+  stats.skins = (json.skins || []).length;
+
+  // Vertex budget — glTF-Validator's count when it ran, otherwise the POSITION accessors
+  if (stats.vertices === undefined) {
+    stats.vertices = 0;
+    for (const mesh of json.meshes || []) {
+      for (const p of mesh.primitives || []) {
+        const acc = p.attributes && (json.accessors || [])[p.attributes.POSITION];
+        if (acc) stats.vertices += acc.count || 0;
+      }
+    }
+  }
+  if (stats.vertices > LIMITS.maxVertices) {
+    errors.push({ code: 'VERTEX_COUNT_ABSURD', message: `${stats.vertices.toLocaleString('en-US')} vertices — more than ${LIMITS.maxVertices.toLocaleString('en-US')}, this will not render on a phone` });
+  } else if (stats.vertices > LIMITS.warnVertices) {
+    warnings.push({ code: 'VERTEX_COUNT_HIGH', message: `${stats.vertices.toLocaleString('en-US')} vertices — the mobile variant will be heavily simplified` });
+  }
+}
+
+// glTF-Validator severities: 0 error, 1 warning (infos and hints are dropped)
+function addValidatorIssues(result, report) {
+  for (const m of result.issues.messages) {
+    const issue = { code: m.code, message: m.message, ...(m.pointer ? { pointer: m.pointer } : {}) };
+    if (m.severity === 0) report.errors.push(issue);
+    else if (m.severity === 1) report.warnings.push(issue);
+  }
+  const info = result.info || {};
+  if (info.totalVertexCount !== undefined) report.stats.vertices = info.totalVertexCount;
+  if (info.totalTriangleCount !== undefined) report.stats.triangles = info.totalTriangleCount;
+  if (info.drawCallCount !== undefined) report.stats.drawCalls = info.drawCallCount;
+}
+
+function capIssues(list) {
+  if (list.length <= LIMITS.maxIssues) return list;
+  const more = list.length - LIMITS.maxIssues;
+  return [...list.slice(0, LIMITS.maxIssues), { code: 'TRUNCATED', message: `…and ${more} more` }];
+}
+
+// Never throws — an unreadable file is reported as an error
+async function validateModel(filePath) {
+  const report = { valid: true, errors: [], warnings: [], stats: {}, validator: gltfValidator.version(), validatedAt: Date.now() };
+  try {
+    const buf = fs.readFileSync(filePath);
+    const { json, bin } = readGLB(buf);
+
+    if (buf.length <= LIMITS.fullValidationMB * 1024 * 1024) {
+      const result = await gltfValidator.validateBytes(new Uint8Array(buf.buffer, buf.byteOffset, buf.byteLength), {
+        maxIssues: LIMITS.maxIssues * 4,
+        // Uploads are packed into a single GLB — any external URI left is a missing file
+        externalResourceFunction: (uri) => Promise.reject(new Error(`External resource not included: ${uri}`))
+      });
+      addValidatorIssues(result, report);
+    } else {
+      report.warnings.push({ code: 'VALIDATION_PARTIAL', message: `File is larger than ${LIMITS.fullValidationMB}MB — glTF structure was not fully validated` });
+    }
+
+    await checkForViewer(json, bin, report);
+  } catch (e) {
+    report.errors.push({ code: 'INVALID_FILE', message: e && e.message ? e.message : String(e) });
+  }
+  report.errors = capIssues(report.errors);
+  report.warnings = capIssues(report.warnings);
+  report.valid = report.errors.length === 0;
+  return report;
+}
+
+module.exports = { validateModel, VIEWER_EXTENSIONS, LIMITS };
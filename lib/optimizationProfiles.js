@@ -0,0 +1,108 @@
+// ═══════════════════════════════════════════════════════════════════
+// OPTIMIZATION PROFILES: Named optimizer settings (optimization-profiles.json)
+// Chosen per upload (asset.optimizationProfile) and read by optimize_models.mjs.
+// Each profile has a desktop / mobile / preview tier:
+//   maxVertices     simplify above this count (desktop, mobile)
+//   maxTextureSize  longest texture side in px
+//   textureQuality  WebP quality 1–100
+// plus ktx2: true to also write a mobile variant with KTX2 (Basis Universal) textures,
+// turntable: false to render the poster thumbnail only (default true),
+// and lods: the LOD chain below the desktop file (level 0), highest budget first —
+//   [{ maxVertices, maxTextureSize, textureQuality?, simplifyError? }]
+// Missing values fall back to the built-in "standard" settings.
+// ═══════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_FILE = process.env.OPTIMIZATION_PROFILES_FILE || path.join(__dirname, '..', 'optimization-profiles.json');
+
+// The optimizer's original hard-coded values
+const BUILTIN_TIERS = {
+  desktop: { maxVertices: 500000, maxTextureSize: 1024, textureQuality: 80 },
+  mobile: { maxVertices: 100000, maxTextureSize: 512, textureQuality: 70 },
+  preview: { maxTextureSize: 128, textureQuality: 30 }
+};
+
+function positiveInt(value, fallback, max = Infinity) {
+  const n = parseInt(value);
+  return n > 0 ? Math.min(n, max) : fallback;
+}
+
+function normalizeTier(raw, builtin) {
+  const tier = raw && typeof raw === 'object' ? raw : {};
+  const out = {
+    maxTextureSize: positiveInt(tier.maxTextureSize, builtin.maxTextureSize, 8192),
+    textureQuality: positiveInt(tier.textureQuality, builtin.textureQuality, 100)
+  };
+  if (builtin.maxVertices) out.maxVertices = positiveInt(tier.maxVertices, builtin.maxVertices);
+  return out;
+}
+
+const MAX_LOD_LEVELS = 8;
+
+// Sorted by vertex budget (descending) so every level is simplified from the one before
+function normalizeLODs(raw, mobileTier) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(l => l && typeof l === 'object' && parseInt(l.maxVertices) > 0)
+    .slice(0, MAX_LOD_LEVELS)
+    .map(l => ({
+      maxVertices: positiveInt(l.maxVertices, 0),
+      maxTextureSize: positiveInt(l.maxTextureSize, mobileTier.maxTextureSize, 8192),
+      textureQuality: positiveInt(l.textureQuality, mobileTier.textureQuality, 100),
+      simplifyError: Number(l.simplifyError) > 0 ? Math.min(Number(l.simplifyError), 1) : 0.05
+    }))
+    .sort((a, b) => b.maxVertices - a.maxVertices);
+}
+
+let cached = null;
+
+function loadProfiles() {
+  if (cached) return cached;
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+  } catch (e) {
+    console.log(`⚙️ Optimization profiles: ${e.code === 'ENOENT' ? 'no config file' : e.message} — using built-in "standard"`);
+  }
+
+  const profiles = {};
+  for (const [name, raw] of Object.entries(config.profiles || {})) {
+    if (!/^[a-z0-9_-]+$/i.test(name) || !raw || typeof raw !== 'object') continue;
+    const mobile = normalizeTier(raw.mobile, BUILTIN_TIERS.mobile);
+    profiles[name] = {
+      name,
+      label: raw.label || name,
+      description: raw.description || '',
+      ktx2: raw.ktx2 === true,
+      turntable: raw.turntable !== false,
+      desktop: normalizeTier(raw.desktop, BUILTIN_TIERS.desktop),
+      mobile,
+      preview: normalizeTier(raw.preview, BUILTIN_TIERS.preview),
+      lods: normalizeLODs(raw.lods, mobile)
+    };
+  }
+  if (!profiles.standard) {
+    profiles.standard = { name: 'standard', label: 'Standard', description: '', ktx2: false, turntable: true, ...BUILTIN_TIERS, lods: [] };
+  }
+  const defaultName = profiles[config.default] ? config.default : 'standard';
+  cached = { profiles, default: defaultName };
+  return cached;
+}
+
+// Name → profile; unknown or empty names get the default profile
+function resolveProfile(name) {
+  const { profiles, default: defaultName } = loadProfiles();
+  return profiles[name] || profiles[defaultName];
+}
+
+function isKnownProfile(name) {
+  return Object.prototype.hasOwnProperty.call(loadProfiles().profiles, name);
+}
+
+function listProfiles() {
+  const { profiles, default: defaultName } = loadProfiles();
+  return { default: defaultName, profiles: Object.values(profiles) };
+}
+
+module.exports = { loadProfiles, resolveProfile, isKnownProfile, listProfiles, PROFILES_FILE };
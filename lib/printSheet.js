@@ -0,0 +1,73 @@
+// ═══════════════════════════════════════════════════════════════════
+// PRINT SHEET: A4 page(s) of board game cards — name, era and QR per asset
+// Poker-size cards (63 × 88 mm), 3 × 3 per page with dashed cut lines.
+// Plain HTML + print CSS: print it, or "Save as PDF" from the browser's dialog.
+//
+//   renderPrintSheet({ title, cards: [{ name, era, qrUrl, viewUrl }] }) → HTML string
+// ═══════════════════════════════════════════════════════════════════
+
+const CARDS_PER_PAGE = 9;
+
+function escapeHTML(text) {
+  return String(text == null ? '' : text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function renderCard(card) {
+  return `<div class="card">
+      <div class="card-frame">
+        <div class="card-name">${escapeHTML(card.name)}</div>
+        <div class="card-era">${escapeHTML(card.era)}</div>
+        <img class="card-qr" src="${escapeHTML(card.qrUrl)}" alt="QR">
+        <div class="card-hint">Quét mã để xem AR</div>
+        <div class="card-url">${escapeHTML(card.viewUrl)}</div>
+      </div>
+    </div>`;
+}
+
+function renderPrintSheet({ title, cards }) {
+  const pages = [];
+  for (let i = 0; i < cards.length; i += CARDS_PER_PAGE) {
+    pages.push(`<section class="page">\n    ${cards.slice(i, i + CARDS_PER_PAGE).map(renderCard).join('\n    ')}\n  </section>`);
+  }
+
+  return `<!doctype html>
+<html lang="vi">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHTML(title)} — Thẻ in</title>
+  <link href="https://fonts.googleapis.com/css2?family=Cinzel:wght@700;900&family=Inter:wght@400;600&display=swap" rel="stylesheet">
+  <style>
+    @page { size: A4; margin: 10mm; }
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: 'Inter', sans-serif; background: #ddd; color: #111; }
+    .toolbar { display: flex; align-items: center; justify-content: space-between; gap: 12px; padding: 12px 20px; background: #1a0a0a; color: #FFD700; font-family: 'Cinzel', serif; }
+    .toolbar button { font: 600 0.95rem 'Inter', sans-serif; padding: 8px 16px; border: 1px solid #FFD700; border-radius: 8px; background: #8B0000; color: #fff; cursor: pointer; }
+    .page { width: 190mm; margin: 10mm auto; display: grid; grid-template-columns: repeat(3, 63mm); grid-auto-rows: 88mm; background: #fff; page-break-after: always; break-after: page; }
+    .page:last-child { page-break-after: auto; break-after: auto; }
+    .card { border: 0.2mm dashed #999; padding: 3mm; }
+    .card-frame { height: 100%; border: 0.8mm solid #8B0000; outline: 0.3mm solid #B8860B; outline-offset: -1.6mm; border-radius: 3mm; padding: 4mm 3mm 3mm; display: flex; flex-direction: column; align-items: center; text-align: center; background: linear-gradient(to bottom, #fff8e1 0%, #ffffff 45%); }
+    .card-name { font-family: 'Cinzel', serif; font-weight: 900; font-size: 4.2mm; line-height: 1.15; color: #6b0000; max-height: 10mm; overflow: hidden; }
+    .card-era { font-size: 2.8mm; color: #7a5c00; margin-top: 1mm; min-height: 3.4mm; }
+    .card-qr { width: 40mm; height: 40mm; margin: auto 0 0; image-rendering: pixelated; }
+    .card-hint { font-size: 2.6mm; font-weight: 600; margin-top: 1.5mm; }
+    .card-url { font-size: 1.9mm; color: #666; margin-top: 0.5mm; word-break: break-all; }
+    @media print {
+      body { background: none; }
+      .toolbar { display: none; }
+      .page { margin: 0; }
+      * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    }
+  </style>
+</head>
+<body>
+  <div class="toolbar">
+    <span>${escapeHTML(title)} — ${cards.length} thẻ</span>
+    <button type="button" onclick="window.print()">🖨️ In / Lưu PDF</button>
+  </div>
+  ${pages.join('\n  ')}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderPrintSheet, CARDS_PER_PAGE };
@@ -0,0 +1,94 @@
+// ═══════════════════════════════════════════════════════════════════
+// QR CODES: Server-rendered PNG / SVG codes for assets and collections
+// Rendered on request (never stored), so codes can be regenerated at any size
+// and batch-printed. The optional logo sits on a white tile in the center —
+// it hides ~5% of the modules, so it needs error correction Q or H.
+//
+//   options: { size: px (64–2048), margin: modules (0–10),
+//              errorCorrection: 'L' | 'M' | 'Q' | 'H', logo: boolean }
+// ═══════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+const sharp = require('sharp');
+
+const LOGO_FILE = path.join(__dirname, '..', 'public', '7e170b92-fab9-464b-8673-2c1fbe370e2c.png');
+const LOGO_TILE = 0.22;   // white tile side, fraction of the code's width
+const LOGO_INSET = 0.12;  // padding inside the tile
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+const QR_LIMITS = { minSize: 64, maxSize: 2048, defaultSize: 512, maxMargin: 10, defaultMargin: 2 };
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value);
+  return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+}
+
+// Query string → options; returns { error } for combinations that won't scan
+function parseQROptions(query) {
+  const logo = ['1', 'true', 'on'].includes(String(query.logo || '').toLowerCase());
+  const level = String(query.ecc || query.errorCorrection || '').toUpperCase();
+  if (level && !ERROR_CORRECTION_LEVELS.includes(level)) {
+    return { error: `ecc must be one of ${ERROR_CORRECTION_LEVELS.join(', ')}` };
+  }
+  const errorCorrection = level || (logo ? 'H' : 'M');
+  if (logo && (errorCorrection === 'L' || errorCorrection === 'M')) {
+    return { error: 'logo needs error correction Q or H' };
+  }
+  return {
+    size: clampInt(query.size, QR_LIMITS.minSize, QR_LIMITS.maxSize, QR_LIMITS.defaultSize),
+    margin: clampInt(query.margin, 0, QR_LIMITS.maxMargin, QR_LIMITS.defaultMargin),
+    errorCorrection,
+    logo
+  };
+}
+
+// The 2048px logo is downscaled once and reused for every code
+// (palette PNG: ~4× smaller, it is inlined into every SVG)
+let logoPromise = null;
+function logoPNG() {
+  if (!logoPromise) {
+    logoPromise = fs.existsSync(LOGO_FILE)
+      ? sharp(LOGO_FILE).resize(256, 256, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } }).png({ palette: true }).toBuffer()
+      : Promise.resolve(null);
+    logoPromise.catch(() => { logoPromise = null; });
+  }
+  return logoPromise;
+}
+
+async function renderQRPng(text, { size, margin, errorCorrection, logo }) {
+  const png = await QRCode.toBuffer(text, { type: 'png', width: size, margin, errorCorrectionLevel: errorCorrection });
+  const logoBuf = logo ? await logoPNG() : null;
+  if (!logoBuf) return png;
+
+  const { width } = await sharp(png).metadata();
+  const tile = Math.round(width * LOGO_TILE);
+  const inner = Math.round(tile * (1 - 2 * LOGO_INSET));
+  const tileBuf = await sharp({ create: { width: tile, height: tile, channels: 4, background: '#ffffff' } })
+    .composite([{ input: await sharp(logoBuf).resize(inner, inner).toBuffer(), gravity: 'centre' }])
+    .png()
+    .toBuffer();
+  return sharp(png).composite([{ input: tileBuf, gravity: 'centre' }]).png().toBuffer();
+}
+
+async function renderQRSvg(text, { size, margin, errorCorrection, logo }) {
+  let svg = await QRCode.toString(text, { type: 'svg', width: size, margin, errorCorrectionLevel: errorCorrection });
+  const logoBuf = logo ? await logoPNG() : null;
+  if (!logoBuf) return svg;
+
+  // Drawn in module units, so it scales with the viewBox
+  const units = parseFloat((svg.match(/viewBox="0 0 ([\d.]+)/) || [])[1]);
+  if (!units) return svg;
+  const tile = units * LOGO_TILE;
+  const inner = tile * (1 - 2 * LOGO_INSET);
+  const at = v => ((units - v) / 2).toFixed(3);
+  const overlay = `<rect x="${at(tile)}" y="${at(tile)}" width="${tile.toFixed(3)}" height="${tile.toFixed(3)}" fill="#ffffff"/>` +
+    `<image x="${at(inner)}" y="${at(inner)}" width="${inner.toFixed(3)}" height="${inner.toFixed(3)}" href="data:image/png;base64,${logoBuf.toString('base64')}"/>`;
+  return svg.replace('</svg>', `${overlay}</svg>`);
+}
+
+function renderQR(text, format, options) {
+  return format === 'svg' ? renderQRSvg(text, options) : renderQRPng(text, options);
+}
+
+module.exports = { renderQR, parseQROptions, ERROR_CORRECTION_LEVELS, QR_LIMITS };
@@ -0,0 +1,128 @@
+// ═══════════════════════════════════════════════════════════════════
+// HISTORICAL SITES: One dataset for /api/nearby (where) and the viewer's quiz (what)
+// Stored in the 'sites' collection, seeded from historical-sites.json on first start.
+//
+// Each site:
+//   id         slug (a-z, 0-9, -) — derived from name when missing
+//   name       the place, e.g. "Sông Bạch Đằng"
+//   general    the general it unlocks; icon: one emoji
+//   lat, lng   degrees; radius: meters counted as "at the site" (10 – 100000)
+//   challenge  quiz title; reward: text shown on a correct answer
+//   questions  [{ question, options: [2–6 answers], correct: index into options }]
+// ═══════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const path = require('path');
+
+const SITES_SEED_FILE = process.env.SITES_SEED_FILE || path.join(__dirname, '..', 'historical-sites.json');
+
+const MAX_QUESTIONS = 20;
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+const DEFAULT_RADIUS = 2000;
+
+function text(value, max) {
+  return value === undefined || value === null ? '' : String(value).trim().slice(0, max);
+}
+
+// "Sông Bạch Đằng" → "song-bach-dang"
+function slugify(value) {
+  return text(value, 200)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd').replace(/Đ/g, 'D')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 64);
+}
+
+function coordinate(value, limit) {
+  const n = Number(value);
+  return value !== '' && value !== null && Number.isFinite(n) && Math.abs(n) <= limit ? n : null;
+}
+
+function normalizeQuestion(raw, prefix, errors) {
+  if (!raw || typeof raw !== 'object') return errors.push(`${prefix}: must be an object`);
+  const question = text(raw.question, 500);
+  if (!question) return errors.push(`${prefix}: question is required`);
+  const options = Array.isArray(raw.options) ? raw.options.map(o => text(o, 200)) : [];
+  if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS || options.some(o => !o)) {
+    return errors.push(`${prefix}: options must be ${MIN_OPTIONS}–${MAX_OPTIONS} non-empty answers`);
+  }
+  const correct = raw.correct === '' || raw.correct === null ? NaN : Number(raw.correct);
+  if (!Number.isInteger(correct) || correct < 0 || correct >= options.length) {
+    return errors.push(`${prefix}: correct must be an index into options (0–${options.length - 1})`);
+  }
+  return { question, options, correct };
+}
+
+// Returns { site, errors } — site is null when anything is invalid
+function normalizeSite(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { site: null, errors: ['site must be an object'] };
+
+  const name = text(raw.name, 120);
+  if (!name) errors.push('name is required');
+  const id = raw.id !== undefined && raw.id !== '' ? String(raw.id) : slugify(name);
+  if (!/^[a-z0-9][a-z0-9-]{0,63}$/.test(id)) errors.push('id must be a slug (a-z, 0-9, -)');
+
+  const lat = coordinate(raw.lat, 90);
+  const lng = coordinate(raw.lng, 180);
+  if (lat === null) errors.push('lat must be a number between -90 and 90');
+  if (lng === null) errors.push('lng must be a number between -180 and 180');
+
+  let radius = DEFAULT_RADIUS;
+  if (raw.radius !== undefined && raw.radius !== '') {
+    radius = Number(raw.radius);
+    if (!Number.isFinite(radius) || radius < 10 || radius > 100000) errors.push('radius must be 10 – 100000 meters');
+  }
+
+  const questions = [];
+  if (!Array.isArray(raw.questions) || raw.questions.length === 0) {
+    errors.push('questions must be a non-empty array');
+  } else if (raw.questions.length > MAX_QUESTIONS) {
+    errors.push(`at most ${MAX_QUESTIONS} questions per site`);
+  } else {
+    raw.questions.forEach((q, i) => {
+      const question = normalizeQuestion(q, `questions[${i}]`, errors);
+      if (question && typeof question === 'object') questions.push(question);
+    });
+  }
+
+  if (errors.length > 0) return { site: null, errors };
+  return {
+    site: {
+      id,
+      name,
+      general: text(raw.general, 120),
+      icon: text(raw.icon, 16) || '📍',
+      lat,
+      lng,
+      radius,
+      challenge: text(raw.challenge, 120) || name,
+      reward: text(raw.reward, 300),
+      questions
+    },
+    errors
+  };
+}
+
+// The bundled dataset — invalid entries are skipped and logged
+function loadSeedSites() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(SITES_SEED_FILE, 'utf8'));
+  } catch (e) {
+    console.log(`🗺️ Sites seed: ${e.code === 'ENOENT' ? 'no seed file' : e.message}`);
+    return [];
+  }
+  const sites = [];
+  for (const raw of Array.isArray(config.sites) ? config.sites : []) {
+    const { site, errors } = normalizeSite(raw);
+    if (site) sites.push(site);
+    else console.log(`🗺️ Sites seed: skipped "${raw && (raw.id || raw.name)}" — ${errors.join('; ')}`);
+  }
+  return sites;
+}
+
+module.exports = { normalizeSite, loadSeedSites, SITES_SEED_FILE };
@@ -0,0 +1,159 @@
+// ═══════════════════════════════════════════════════════════════════
+// SOFTWARE RENDERER: Headless poster / turntable frames, no GPU needed
+// Z-buffered triangle rasterizer with perspective-correct UVs, one
+// directional light + ambient, base color texture and alpha masks.
+// Good enough for a thumbnail — no PBR, shadows or transparency.
+//
+//   mesh: { positions: Float32Array (world xyz), normals?: Float32Array,
+//           uvs?: Float32Array, indices?: Uint32Array,
+//           material: { color: [r, g, b, a] (sRGB 0–1),
+//                       texture?: { width, height, data: RGBA bytes },
+//                       alphaCutoff?: number } }
+//   renderFrame(meshes, { width, height, yaw, pitch, bounds }) → RGBA Buffer
+// ═══════════════════════════════════════════════════════════════════
+
+const FOV = 30 * Math.PI / 180;
+const LIGHT = normalize([-0.4, 0.7, 0.6]); // view space: upper left, toward the viewer
+const AMBIENT = 0.35;
+
+function normalize(v) {
+  const len = Math.hypot(v[0], v[1], v[2]) || 1;
+  return [v[0] / len, v[1] / len, v[2] / len];
+}
+
+// Orbit camera around the bounds' center, far enough to fit its bounding sphere
+function createCamera({ width, height, yaw = 0, pitch = 0.15, bounds }) {
+  const center = [0, 1, 2].map(i => (bounds.min[i] + bounds.max[i]) / 2);
+  const radius = Math.max(Math.hypot(...[0, 1, 2].map(i => bounds.max[i] - bounds.min[i])) / 2, 1e-6);
+  const aspect = width / height;
+  const fit = Math.min(FOV, 2 * Math.atan(Math.tan(FOV / 2) * aspect));
+  const distance = radius / Math.sin(fit / 2) * 1.05;
+  const cy = Math.cos(yaw), sy = Math.sin(yaw), cp = Math.cos(pitch), sp = Math.sin(pitch);
+  const eye = [center[0] + distance * sy * cp, center[1] + distance * sp, center[2] + distance * cy * cp];
+  const forward = normalize([center[0] - eye[0], center[1] - eye[1], center[2] - eye[2]]);
+  const right = normalize([-forward[2], 0, forward[0]]); // forward × world up
+  const up = [right[1] * forward[2] - right[2] * forward[1], right[2] * forward[0] - right[0] * forward[2], right[0] * forward[1] - right[1] * forward[0]];
+  const focal = (height / 2) / Math.tan(FOV / 2);
+  return { eye, forward, right, up, focal, near: Math.max(distance - radius * 1.5, distance * 0.01) };
+}
+
+function sampleTexture(texture, u, v) {
+  const { width, height, data } = texture;
+  let x = Math.floor((u - Math.floor(u)) * width);
+  let y = Math.floor((v - Math.floor(v)) * height);
+  if (x >= width) x = width - 1;
+  if (y >= height) y = height - 1;
+  const i = (y * width + x) * 4;
+  return [data[i] / 255, data[i + 1] / 255, data[i + 2] / 255, data[i + 3] / 255];
+}
+
+function renderFrame(meshes, options) {
+  const { width, height } = options;
+  const background = options.background || [0, 0, 0, 0];
+  const camera = createCamera(options);
+  const { eye, forward, right, up, focal, near } = camera;
+  const color = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) color.set(background, i * 4);
+  const depth = new Float32Array(width * height).fill(Infinity);
+  const cx = width / 2, cy = height / 2;
+
+  for (const mesh of meshes) {
+    const { positions, normals, uvs, material } = mesh;
+    const vertexCount = positions.length / 3;
+    const indices = mesh.indices || Uint32Array.from({ length: vertexCount }, (_, i) => i);
+
+    // Per-vertex view space position, screen position and view space normal
+    const sx = new Float32Array(vertexCount), sy = new Float32Array(vertexCount), sz = new Float32Array(vertexCount);
+    const vn = normals ? new Float32Array(vertexCount * 3) : null;
+    for (let v = 0; v < vertexCount; v++) {
+      const px = positions[v * 3] - eye[0], py = positions[v * 3 + 1] - eye[1], pz = positions[v * 3 + 2] - eye[2];
+      const z = px * forward[0] + py * forward[1] + pz * forward[2];
+      sz[v] = z;
+      sx[v] = cx + (px * right[0] + py * right[1] + pz * right[2]) / z * focal;
+      sy[v] = cy - (px * up[0] + py * up[1] + pz * up[2]) / z * focal;
+      if (vn) {
+        const nx = normals[v * 3], ny = normals[v * 3 + 1], nz = normals[v * 3 + 2];
+        vn[v * 3] = nx * right[0] + ny * right[1] + nz * right[2];
+        vn[v * 3 + 1] = nx * up[0] + ny * up[1] + nz * up[2];
+        vn[v * 3 + 2] = -(nx * forward[0] + ny * forward[1] + nz * forward[2]);
+      }
+    }
+
+    const base = material.color;
+    const texture = material.texture && uvs ? material.texture : null;
+    const cutoff = material.alphaCutoff;
+
+    for (let t = 0; t + 2 < indices.length; t += 3) {
+      const a = indices[t], b = indices[t + 1], c = indices[t + 2];
+      if (sz[a] < near || sz[b] < near || sz[c] < near) continue;
+      const area = (sx[b] - sx[a]) * (sy[c] - sy[a]) - (sx[c] - sx[a]) * (sy[b] - sy[a]);
+      if (area === 0 || !Number.isFinite(area)) continue;
+
+      // Flat shading when the mesh has no normals
+      let flat = 0;
+      if (!vn) {
+        const ax = positions[a * 3], ay = positions[a * 3 + 1], az = positions[a * 3 + 2];
+        const e1 = [positions[b * 3] - ax, positions[b * 3 + 1] - ay, positions[b * 3 + 2] - az];
+        const e2 = [positions[c * 3] - ax, positions[c * 3 + 1] - ay, positions[c * 3 + 2] - az];
+        const n = normalize([e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]]);
+        const view = [n[0] * right[0] + n[1] * right[1] + n[2] * right[2], n[0] * up[0] + n[1] * up[1] + n[2] * up[2], -(n[0] * forward[0] + n[1] * forward[1] + n[2] * forward[2])];
+        flat = Math.abs(view[0] * LIGHT[0] + view[1] * LIGHT[1] + view[2] * LIGHT[2]);
+      }
+
+      const minX = Math.max(0, Math.floor(Math.min(sx[a], sx[b], sx[c])));
+      const maxX = Math.min(width - 1, Math.ceil(Math.max(sx[a], sx[b], sx[c])));
+      const minY = Math.max(0, Math.floor(Math.min(sy[a], sy[b], sy[c])));
+      const maxY = Math.min(height - 1, Math.ceil(Math.max(sy[a], sy[b], sy[c])));
+      const iza = 1 / sz[a], izb = 1 / sz[b], izc = 1 / sz[c];
+
+      for (let y = minY; y <= maxY; y++) {
+        const py = y + 0.5;
+        for (let x = minX; x <= maxX; x++) {
+          const px = x + 0.5;
+          // Barycentric weights (same sign as area inside the triangle)
+          const w0 = ((sx[b] - px) * (sy[c] - py) - (sx[c] - px) * (sy[b] - py)) / area;
+          const w1 = ((sx[c] - px) * (sy[a] - py) - (sx[a] - px) * (sy[c] - py)) / area;
+          const w2 = 1 - w0 - w1;
+          if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+
+          const iz = w0 * iza + w1 * izb + w2 * izc;
+          const z = 1 / iz;
+          const p = y * width + x;
+          if (z >= depth[p]) continue;
+
+          // Perspective-correct weights
+          const p0 = w0 * iza * z, p1 = w1 * izb * z, p2 = w2 * izc * z;
+          let r = base[0], g = base[1], bl = base[2], alpha = base[3];
+          if (texture) {
+            const u = p0 * uvs[a * 2] + p1 * uvs[b * 2] + p2 * uvs[c * 2];
+            const v = p0 * uvs[a * 2 + 1] + p1 * uvs[b * 2 + 1] + p2 * uvs[c * 2 + 1];
+            const texel = sampleTexture(texture, u, v);
+            r *= texel[0]; g *= texel[1]; bl *= texel[2]; alpha *= texel[3];
+          }
+          if (cutoff != null && alpha < cutoff) continue;
+
+          let light = flat;
+          if (vn) {
+            const n = normalize([
+              p0 * vn[a * 3] + p1 * vn[b * 3] + p2 * vn[c * 3],
+              p0 * vn[a * 3 + 1] + p1 * vn[b * 3 + 1] + p2 * vn[c * 3 + 1],
+              p0 * vn[a * 3 + 2] + p1 * vn[b * 3 + 2] + p2 * vn[c * 3 + 2]
+            ]);
+            // Two-sided: back faces of open meshes are lit like front faces
+            light = Math.abs(n[0] * LIGHT[0] + n[1] * LIGHT[1] + n[2] * LIGHT[2]);
+          }
+          const shade = AMBIENT + (1 - AMBIENT) * light;
+
+          depth[p] = z;
+          color[p * 4] = Math.min(255, r * shade * 255);
+          color[p * 4 + 1] = Math.min(255, g * shade * 255);
+          color[p * 4 + 2] = Math.min(255, bl * shade * 255);
+          color[p * 4 + 3] = 255;
+        }
+      }
+    }
+  }
+  return color;
+}
+
+module.exports = { renderFrame };
@@ -0,0 +1,62 @@
+// ═══════════════════════════════════════════════════════════════════
+// AZURE STORAGE DRIVER: Block blobs in one container
+// URLs are read-only SAS links, so the container can stay private.
+// ═══════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const { BlobServiceClient, BlobSASPermissions } = require('@azure/storage-blob');
+const { contentTypeFor } = require('./index');
+
+function createAzureStorage({ connectionString, container }) {
+  if (!connectionString) throw new Error('STORAGE_DRIVER=azure needs AZURE_STORAGE_CONNECTION_STRING');
+  const containerClient = BlobServiceClient.fromConnectionString(connectionString).getContainerClient(container);
+  const blob = (key) => containerClient.getBlockBlobClient(key);
+
+  return {
+    name: 'azure',
+    label: `azure:${container}`,
+    async putFile(key, localPath) {
+      await blob(key).uploadFile(localPath, { blobHTTPHeaders: { blobContentType: contentTypeFor(key) } });
+    },
+    async putBuffer(key, buffer) {
+      await blob(key).upload(buffer, buffer.length, { blobHTTPHeaders: { blobContentType: contentTypeFor(key) } });
+    },
+    async getBuffer(key) {
+      if (!(await blob(key).exists())) return null;
+      return blob(key).downloadToBuffer();
+    },
+    async downloadFile(key, localPath) {
+      if (!(await blob(key).exists())) return false;
+      await blob(key).downloadToFile(localPath);
+      return fs.existsSync(localPath);
+    },
+    async stat(key) {
+      try {
+        const props = await blob(key).getProperties();
+        return { size: props.contentLength };
+      } catch (e) {
+        if (e.statusCode === 404) return null;
+        throw e;
+      }
+    },
+    // Snapshots included — a deleted model must not linger as an older version
+    async remove(key) {
+      const res = await blob(key).deleteIfExists({ deleteSnapshots: 'include' });
+      return res.succeeded;
+    },
+    async list(prefix = '') {
+      const out = [];
+      for await (const item of containerClient.listBlobsFlat({ prefix })) {
+        out.push({ key: item.name, size: item.properties.contentLength });
+      }
+      return out;
+    },
+    async url(key, { expiresInSeconds }) {
+      return blob(key).generateSasUrl({
+        permissions: BlobSASPermissions.parse('r'),
+        expiresOn: new Date(Date.now() + expiresInSeconds * 1000)
+      });
+    }
+  };
+}
+
+module.exports = { createAzureStorage };
@@ -0,0 +1,127 @@
+// ═══════════════════════════════════════════════════════════════════
+// OBJECT STORAGE: Pluggable backup store for originals, variants and the db snapshot
+//   STORAGE_DRIVER=azure   Azure Blob (AZURE_STORAGE_CONNECTION_STRING, AZURE_STORAGE_CONTAINER)
+//   STORAGE_DRIVER=s3      S3 / MinIO / R2 (S3_BUCKET, S3_ENDPOINT, S3_REGION, S3_ACCESS_KEY_ID, …)
+//   STORAGE_DRIVER=local   a directory, e.g. a mounted volume (STORAGE_LOCAL_DIR)
+//   STORAGE_DRIVER=none    no backups
+// Default: azure when AZURE_STORAGE_CONNECTION_STRING is set, none otherwise.
+//
+// Keys are "originals/<file>", "optimized/<file>" and "db/db.json". Every driver has
+// the same async API:
+//   putFile(key, localPath) / putBuffer(key, buffer)    content type from the key's extension
+//   getBuffer(key) → Buffer | null   downloadFile(key, localPath) → boolean
+//   stat(key) → { size } | null      remove(key) → boolean      list(prefix) → [{ key, size }]
+//   url(key, { expiresInSeconds }) → short-lived URL a browser can GET
+//                                     (local: null — the app streams pathFor(key) itself)
+//
+// Asset records keep keys, never URLs: links are signed per request (server.js MODEL URLS).
+// ═══════════════════════════════════════════════════════════════════
+const path = require('path');
+
+const STORAGE_DRIVERS = ['azure', 's3', 'local', 'none'];
+
+// Asset fields holding a storage key (records from before signed links hold a full SAS URL)
+const BLOB_FIELDS = [
+  'blobUrl', 'blobOriginalUrl', 'blobSourceUrl', 'blobMobileUrl', 'blobMobileKtx2Url',
+  'blobPreviewUrl', 'blobThumbnailUrl', 'blobTurntableUrl'
+];
+
+const CONTENT_TYPES = {
+  '.glb': 'model/gltf-binary',
+  '.gltf': 'model/gltf+json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.json': 'application/json'
+};
+
+function contentTypeFor(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+// Stored blob URLs (any driver, with or without a signature) → their key; keys pass through
+function keyFromUrl(url) {
+  if (!url) return null;
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url, 'http://local').pathname);
+  } catch (e) {
+    return null;
+  }
+  const at = pathname.search(/\/(originals|optimized|db)\//);
+  return at === -1 ? null : pathname.slice(at + 1);
+}
+
+// Patch that turns an asset's stored URLs into keys — null when there's nothing to change
+function storedKeysPatch(asset) {
+  const patch = {};
+  for (const field of BLOB_FIELDS) {
+    const key = keyFromUrl(asset[field]);
+    if (asset[field] && key !== asset[field]) patch[field] = key;
+  }
+  if (asset.blobLodUrls) {
+    const lods = {};
+    let changed = false;
+    for (const [file, value] of Object.entries(asset.blobLodUrls)) {
+      lods[file] = keyFromUrl(value);
+      if (lods[file] !== value) changed = true;
+    }
+    if (changed) patch.blobLodUrls = lods;
+  }
+  // asset.model used to be the SAS URL of the original
+  if (/^https?:/.test(asset.model || '')) patch.model = `/uploads/${path.basename(asset.model.split('?')[0])}`;
+  return Object.keys(patch).length ? patch : null;
+}
+
+// Every key an asset has in storage
+function storedKeys(asset) {
+  const keys = new Set();
+  for (const field of BLOB_FIELDS) {
+    const key = keyFromUrl(asset[field]);
+    if (key) keys.add(key);
+  }
+  for (const value of Object.values(asset.blobLodUrls || {})) {
+    const key = keyFromUrl(value);
+    if (key) keys.add(key);
+  }
+  return keys;
+}
+
+function defaultDriver(env) {
+  return env.STORAGE_DRIVER || (env.AZURE_STORAGE_CONNECTION_STRING ? 'azure' : 'none');
+}
+
+// Returns the driver, or null for 'none'. Drivers are required lazily so a
+// deployment only needs the SDK of the backend it actually uses.
+function openStorage({ driver, env = process.env, dataDir }) {
+  const name = driver || defaultDriver(env);
+  if (name === 'none') return null;
+  if (name === 'azure') {
+    const { createAzureStorage } = require('./azure');
+    return createAzureStorage({
+      connectionString: env.AZURE_STORAGE_CONNECTION_STRING,
+      container: env.AZURE_STORAGE_CONTAINER || 'models'
+    });
+  }
+  if (name === 's3') {
+    const { createS3Storage } = require('./s3');
+    return createS3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || 'us-east-1',
+      endpoint: env.S3_ENDPOINT || null,
+      accessKeyId: env.S3_ACCESS_KEY_ID || null,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY || null,
+      // MinIO and most self-hosted stand-ins only understand http://host/bucket/key
+      forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === 'true' : !!env.S3_ENDPOINT,
+      publicUrl: env.S3_PUBLIC_URL || null
+    });
+  }
+  if (name === 'local') {
+    const { createLocalStorage } = require('./local');
+    return createLocalStorage({ root: path.resolve(env.STORAGE_LOCAL_DIR || path.join(dataDir, 'storage')) });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected ${STORAGE_DRIVERS.join(', ')})`);
+}
+
+module.exports = { openStorage, contentTypeFor, keyFromUrl, storedKeysPatch, storedKeys, STORAGE_DRIVERS, BLOB_FIELDS };
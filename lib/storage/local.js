@@ -0,0 +1,94 @@
+// ═══════════════════════════════════════════════════════════════════
+// LOCAL STORAGE DRIVER: Objects as files under one directory
+// Meant for a persistent volume mounted next to an ephemeral public/uploads.
+// Never served as a directory: server.js streams single files via pathFor(key)
+// after checking the request's signature (db/ holds the user table).
+// ═══════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const path = require('path');
+
+function createLocalStorage({ root }) {
+  fs.mkdirSync(root, { recursive: true });
+
+  // Keys come from our own code, but never let one escape the root
+  function fileFor(key) {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  }
+
+  function writeAtomic(file, write) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    write(tmp);
+    fs.renameSync(tmp, file);
+  }
+
+  function walk(dir, prefix, out) {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      return out;
+    }
+    for (const entry of entries) {
+      const key = prefix + entry.name;
+      if (entry.isDirectory()) walk(path.join(dir, entry.name), `${key}/`, out);
+      else if (entry.isFile() && !entry.name.endsWith('.tmp')) out.push({ key, size: fs.statSync(path.join(dir, entry.name)).size });
+    }
+    return out;
+  }
+
+  return {
+    name: 'local',
+    label: `local:${root}`,
+    root,
+    pathFor: fileFor,
+    async putFile(key, localPath) {
+      writeAtomic(fileFor(key), tmp => fs.copyFileSync(localPath, tmp));
+    },
+    async putBuffer(key, buffer) {
+      writeAtomic(fileFor(key), tmp => fs.writeFileSync(tmp, buffer));
+    },
+    async getBuffer(key) {
+      try {
+        return fs.readFileSync(fileFor(key));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async downloadFile(key, localPath) {
+      const file = fileFor(key);
+      if (!fs.existsSync(file)) return false;
+      fs.copyFileSync(file, localPath);
+      return true;
+    },
+    async stat(key) {
+      try {
+        return { size: fs.statSync(fileFor(key)).size };
+      } catch (e) {
+        return null;
+      }
+    },
+    async remove(key) {
+      try {
+        fs.unlinkSync(fileFor(key));
+        return true;
+      } catch (e) {
+        if (e.code === 'ENOENT') return false;
+        throw e;
+      }
+    },
+    async list(prefix = '') {
+      const dir = path.join(root, prefix);
+      return walk(dir, prefix.endsWith('/') || !prefix ? prefix : `${prefix}/`, []);
+    },
+    // No URL of its own — the app serves pathFor(key)
+    async url() {
+      return null;
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,101 @@
+// ═══════════════════════════════════════════════════════════════════
+// S3 STORAGE DRIVER: AWS S3 and compatible stores (MinIO, R2, Wasabi, …)
+// URLs are presigned GETs (S3 caps them at 7 days) unless S3_PUBLIC_URL
+// points at a public bucket or CDN in front of it — then nothing expires.
+// ═══════════════════════════════════════════════════════════════════
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand, ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { contentTypeFor } = require('./index');
+
+const MAX_PRESIGN_SECONDS = 7 * 24 * 3600;
+
+function isMissing(e) {
+  return e.name === 'NoSuchKey' || e.name === 'NotFound' || (e.$metadata && e.$metadata.httpStatusCode === 404);
+}
+
+function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicUrl }) {
+  if (!bucket) throw new Error('STORAGE_DRIVER=s3 needs S3_BUCKET');
+  // Without explicit keys the SDK falls back to its usual chain (env, profile, instance role)
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    // Default streaming checksums (aws-chunked uploads) aren't understood by every compatible store
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED'
+  });
+
+  async function get(key) {
+    try {
+      return await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    } catch (e) {
+      if (isMissing(e)) return null;
+      throw e;
+    }
+  }
+
+  return {
+    name: 's3',
+    label: `s3:${bucket}${endpoint ? ` @ ${endpoint}` : ''}`,
+    async putFile(key, localPath) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.createReadStream(localPath),
+        ContentLength: fs.statSync(localPath).size,
+        ContentType: contentTypeFor(key)
+      }));
+    },
+    async putBuffer(key, buffer) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentTypeFor(key) }));
+    },
+    async getBuffer(key) {
+      const res = await get(key);
+      return res ? Buffer.from(await res.Body.transformToByteArray()) : null;
+    },
+    async downloadFile(key, localPath) {
+      const res = await get(key);
+      if (!res) return false;
+      await pipeline(res.Body, fs.createWriteStream(localPath));
+      return true;
+    },
+    async stat(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { size: head.ContentLength };
+      } catch (e) {
+        if (isMissing(e)) return null;
+        throw e;
+      }
+    },
+    // S3 deletes are idempotent, so ask first to report whether anything went
+    async remove(key) {
+      if (!(await this.stat(key))) return false;
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    },
+    async list(prefix = '') {
+      const out = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        for (const item of page.Contents || []) out.push({ key: item.Key, size: item.Size });
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return out;
+    },
+    async url(key, { expiresInSeconds }) {
+      if (publicUrl) return `${publicUrl.replace(/\/$/, '')}/${key.split('/').map(encodeURIComponent).join('/')}`;
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), {
+        expiresIn: Math.min(expiresInSeconds, MAX_PRESIGN_SECONDS)
+      });
+    }
+  };
+}
+
+module.exports = { createS3Storage };
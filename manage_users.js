@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * USER ACCOUNTS - Create the first admin and manage accounts offline
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Same store as the server (DB_DRIVER, data/). With the default SQLite
+ * driver it is safe to run next to a live server; with DB_DRIVER=json
+ * stop the server first. Once an admin exists, /api/users does the same.
+ *
+ * Usage:
+ *   node manage_users.js create <username> [viewer|creator|admin]   # default: creator
+ *   node manage_users.js passwd <username>
+ *   node manage_users.js role <username> <viewer|creator|admin>
+ *   node manage_users.js disable|enable <username>
+ *   node manage_users.js list
+ *
+ * The password is read from WEBAR_PASSWORD, or prompted for.
+ */
+require('dotenv').config({ quiet: true }); // DB_DRIVER may live in .env
+const path = require('path');
+const readline = require('readline');
+const { nanoid } = require('nanoid');
+const { openRepository } = require('./lib/db');
+const auth = require('./lib/auth');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const [command, name, arg] = process.argv.slice(2);
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exitCode = 1;
+}
+
+function askPassword() {
+  if (process.env.WEBAR_PASSWORD) return Promise.resolve(process.env.WEBAR_PASSWORD);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  // Keep the typed password off the screen
+  rl._writeToOutput = (text) => { if (text.includes('Password')) rl.output.write(text); };
+  return new Promise(resolve => rl.question('Password: ', (answer) => {
+    rl.close();
+    process.stdout.write('\n');
+    resolve(answer);
+  }));
+}
+
+async function main(repo) {
+  const users = repo.collection('users');
+  const authTokens = repo.collection('authTokens');
+  const username = auth.normalizeUsername(name);
+  const user = username ? users.list().find(u => u.username === username) : null;
+
+  if (command === 'list') {
+    const list = users.list().sort((a, b) => a.createdAt - b.createdAt);
+    if (list.length === 0) return console.log('No users yet — node manage_users.js create <username> admin');
+    for (const u of list) {
+      console.log(`${u.username.padEnd(24)} ${u.role.padEnd(8)} ${u.disabled ? 'disabled' : ''}`);
+    }
+    return;
+  }
+
+  if (!username) return fail('username must be 3–40 characters: a-z, 0-9, . _ -');
+
+  if (command === 'create') {
+    if (user) return fail(`User "${username}" already exists`);
+    const role = arg || 'creator';
+    if (!auth.ROLES.includes(role)) return fail(`role must be one of ${auth.ROLES.join(', ')}`);
+    const password = await askPassword();
+    const problem = auth.passwordProblem(password);
+    if (problem) return fail(problem);
+    users.put({ id: nanoid(10), username, passwordHash: auth.hashPassword(password), role, disabled: false, createdAt: Date.now() });
+    return console.log(`👤 Created ${username} (${role})`);
+  }
+
+  if (!user) return fail(`No user "${username}"`);
+
+  if (command === 'passwd') {
+    const password = await askPassword();
+    const problem = auth.passwordProblem(password);
+    if (problem) return fail(problem);
+    users.update(user.id, u => { u.passwordHash = auth.hashPassword(password); });
+    const sessions = authTokens.list().filter(t => t.userId === user.id && t.kind === 'session');
+    sessions.forEach(t => authTokens.remove(t.id));
+    return console.log(`👤 Password changed for ${username} (${sessions.length} session(s) signed out)`);
+  }
+
+  if (command === 'role') {
+    if (!auth.ROLES.includes(arg)) return fail(`role must be one of ${auth.ROLES.join(', ')}`);
+    users.update(user.id, u => { u.role = arg; });
+    return console.log(`👤 ${username} is now ${arg}`);
+  }
+
+  if (command === 'disable' || command === 'enable') {
+    users.update(user.id, u => { u.disabled = command === 'disable'; });
+    if (command === 'disable') {
+      authTokens.list().filter(t => t.userId === user.id && t.kind === 'session').forEach(t => authTokens.remove(t.id));
+    }
+    return console.log(`👤 ${username} ${command}d`);
+  }
+
+  fail(`Unknown command "${command}" — create, passwd, role, disable, enable or list`);
+}
+
+const repo = openRepository({
+  driver: process.env.DB_DRIVER || 'sqlite',
+  dataDir: DATA_DIR,
+  legacyFile: path.join(DATA_DIR, 'db.json')
+});
+main(repo)
+  .catch(e => fail(e.message))
+  .finally(() => repo.close());
@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * DB MIGRATION - Import data/db.json into the SQLite repository
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * The server already does this once on first boot; run it by hand to
+ * re-import (newer records win, nothing is deleted) or to import a backup.
+ *
+ * Usage:
+ *   node migrate_db.js                      # import data/db.json
+ *   node migrate_db.js path/to/backup.json  # import another file (legacy map or snapshot)
+ */
+const path = require('path');
+const { openRepository, migrateLegacyJSON } = require('./lib/db');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const source = process.argv[2] ? path.resolve(process.argv[2]) : path.join(DATA_DIR, 'db.json');
+
+const repo = openRepository({ driver: 'sqlite', dataDir: DATA_DIR, legacyFile: path.join(DATA_DIR, 'db.json') });
+const imported = migrateLegacyJSON(repo, source, { force: true });
+console.log(`🗄️ Imported ${imported} record(s) from ${path.relative(process.cwd(), source)} → ${path.relative(process.cwd(), repo.file)}`);
+console.log(`   Assets now in DB: ${repo.collection('assets').list().length}`);
+repo.close();
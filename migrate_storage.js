@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════════════════════
+ * STORAGE MIGRATION - Copy every object from one storage driver to another
+ * ═══════════════════════════════════════════════════════════════
+ *
+ * Copies originals/, optimized/ and the db snapshot. Asset records hold
+ * storage keys, which are the same on every driver — only records that
+ * still carry full SAS URLs are rewritten to keys. Both drivers read their usual
+ * env vars (see lib/storage), so e.g. Azure → MinIO needs the Azure
+ * connection string and the S3_* settings at the same time.
+ *
+ * Objects already present on the target with the same size are skipped,
+ * so an interrupted run can simply be started again. Stop the server
+ * first (or run it right before switching STORAGE_DRIVER) — uploads made
+ * meanwhile would only land on the old backend.
+ *
+ * Usage:
+ *   node migrate_storage.js --from azure --to s3
+ *   node migrate_storage.js --from local --to azure --overwrite   # re-copy everything
+ *   node migrate_storage.js --from azure --to local --dry-run     # list what would be copied
+ */
+require('dotenv').config({ quiet: true }); // storage + DB settings may live in .env
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openRepository } = require('./lib/db');
+const { openStorage, storedKeysPatch } = require('./lib/storage');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const PREFIXES = ['originals/', 'optimized/'];
+const DB_KEY = 'db/db.json';
+
+function option(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? null : process.argv[i + 1] || null;
+}
+const flag = (name) => process.argv.includes(`--${name}`);
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exitCode = 1;
+}
+
+async function copyObjects(from, to, { overwrite, dryRun }) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webar-migrate-'));
+  const stats = { copied: 0, skipped: 0, failed: 0, bytes: 0 };
+  try {
+    for (const prefix of PREFIXES) {
+      for (const { key, size } of await from.list(prefix)) {
+        const existing = overwrite ? null : await to.stat(key);
+        if (existing && existing.size === size) { stats.skipped++; continue; }
+        if (dryRun) { console.log(`   would copy ${key} (${size} bytes)`); stats.copied++; continue; }
+        const tmp = path.join(tmpDir, path.basename(key));
+        try {
+          if (!(await from.downloadFile(key, tmp))) throw new Error('vanished from the source');
+          await to.putFile(key, tmp);
+          stats.copied++;
+          stats.bytes += size;
+          console.log(`   ↑ ${key} (${(size / 1024 / 1024).toFixed(1)}MB)`);
+        } catch (e) {
+          stats.failed++;
+          console.log(`   ✗ ${key}: ${e.message}`);
+        } finally {
+          fs.rmSync(tmp, { force: true });
+        }
+      }
+    }
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+  return stats;
+}
+
+// Old records point at one backend through a signed URL — keep only the key
+function normalizeAssetKeys(assets) {
+  let changed = 0;
+  for (const asset of assets.list()) {
+    const patch = storedKeysPatch(asset);
+    if (!patch) continue;
+    assets.update(asset.id, a => Object.assign(a, patch));
+    changed++;
+  }
+  return changed;
+}
+
+async function main(repo) {
+  const fromName = option('from');
+  const toName = option('to');
+  const dryRun = flag('dry-run');
+  if (!fromName || !toName) return fail('Usage: node migrate_storage.js --from <azure|s3|local> --to <azure|s3|local> [--overwrite] [--dry-run]');
+  if (fromName === toName) return fail('--from and --to must be different drivers');
+  if (fromName === 'none' || toName === 'none') return fail('"none" has nothing to copy from or to');
+
+  const from = openStorage({ driver: fromName, dataDir: DATA_DIR });
+  const to = openStorage({ driver: toName, dataDir: DATA_DIR });
+  console.log(`☁️ ${from.label} → ${to.label}${dryRun ? ' (dry run)' : ''}`);
+
+  const stats = await copyObjects(from, to, { overwrite: flag('overwrite'), dryRun });
+  console.log(`📦 ${stats.copied} copied (${(stats.bytes / 1024 / 1024).toFixed(1)}MB), ${stats.skipped} already there, ${stats.failed} failed`);
+  if (dryRun) return;
+  if (stats.failed > 0) return fail('Some objects failed to copy — the db snapshot was not written. Run the command again.');
+
+  // Start from the newest records either side has
+  const remote = await from.getBuffer(DB_KEY);
+  if (remote) {
+    const imported = repo.importSnapshot(JSON.parse(remote.toString('utf8')));
+    console.log(`🗄️ Source db snapshot merged (${imported} record(s) newer than ${path.relative(__dirname, repo.file)})`);
+  } else {
+    console.log('🗄️ No db snapshot on the source — using the local DB only');
+  }
+
+  const changed = normalizeAssetKeys(repo.collection('assets'));
+  await to.putBuffer(DB_KEY, Buffer.from(JSON.stringify(repo.snapshot())));
+  console.log(`🗄️ ${changed} asset(s) had stored URLs replaced by keys; db snapshot written to ${to.label}`);
+  console.log(`✅ Done — set STORAGE_DRIVER=${to.name} and restart the server`);
+}
+
+const repo = openRepository({
+  driver: process.env.DB_DRIVER || 'sqlite',
+  dataDir: DATA_DIR,
+  legacyFile: path.join(DATA_DIR, 'db.json'),
+  localCollections: ['deviceReports'] // as in server.js — not part of the snapshot
+});
+main(repo)
+  .catch(e => fail(e.message))
+  .finally(() => repo.close());
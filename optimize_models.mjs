@@ -9,11 +9,19 @@
  *   2. Texture compression (resize to max 1024px, convert to WebP/JPEG)
  *   3. MeshOpt quantization
  *   4. Remove unused data
+ *   5. (profile "ktx2": true) extra mobile variant with KTX2 / Basis Universal textures
+ *   6. LOD chain (profile "lods"): <name>.lod1…N.glb + <name>.lods.json manifest
+ *   7. Every variant is read back and verified against the source (skins, animations, bbox)
+ *   8. Poster + turntable (<name>.thumb.webp / .turntable.webp) from a software renderer
  * 
  * Usage:
  *   node optimize_models.js                    # Optimize all uploads
  *   node optimize_models.js <file.glb>         # Optimize specific file
  *   node optimize_models.js --max-texture 512  # Use smaller textures (for mobile)
+ *   node optimize_models.js --profile=hero     # Settings from optimization-profiles.json
+ *   node optimize_models.js <file.glb> --force # Re-optimize even if the variants are up to date
+ *   node optimize_models.js --ktx2 / --no-ktx2 # Override the profile's KTX2 mobile variant setting
+ *   node optimize_models.js --no-turntable     # Poster thumbnail only
  */
 
 import { NodeIO } from '@gltf-transform/core';
@@ -26,14 +34,20 @@ import {
   resample,
   quantize,
   weld,
-  simplify
+  simplify,
+  cloneDocument
 } from '@gltf-transform/functions';
+import { ktx2 } from 'ktx2-encoder/gltf-transform';
 import draco3d from 'draco3dgltf';
 import sharp from 'sharp';
 import path from 'path';
 import fs from 'fs';
-import { MeshoptSimplifier, MeshoptEncoder } from 'meshoptimizer';
+import { MeshoptSimplifier, MeshoptEncoder, MeshoptDecoder } from 'meshoptimizer';
 import { fileURLToPath } from 'url';
+import optimizationProfiles from './lib/optimizationProfiles.js';
+import softwareRenderer from './lib/softwareRenderer.js';
+
+const { renderFrame } = softwareRenderer;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -41,9 +55,465 @@ const __dirname = path.dirname(__filename);
 const UPLOADS_DIR = path.join(__dirname, 'public', 'uploads');
 const OPTIMIZED_DIR = path.join(__dirname, 'public', 'uploads', 'optimized');
 
-// Config
-const MAX_TEXTURE_SIZE = parseInt(process.argv.find(a => a.startsWith('--max-texture'))?.split('=')[1] || '') || 1024;
-const TEXTURE_QUALITY = 80; // JPEG/WebP quality
+// Config: thresholds come from the optimization profile (--profile=<name>, default from the config file)
+const cliArg = (name) => process.argv.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+const PROFILE = optimizationProfiles.resolveProfile(cliArg('profile'));
+const { desktop: DESKTOP, mobile: MOBILE, preview: PREVIEW } = PROFILE;
+const MAX_TEXTURE_SIZE = parseInt(cliArg('max-texture') || '') || DESKTOP.maxTextureSize;
+const TEXTURE_QUALITY = DESKTOP.textureQuality; // WebP quality
+const FORCE = process.argv.includes('--force');
+const KTX2_ENABLED = process.argv.includes('--ktx2') || (PROFILE.ktx2 && !process.argv.includes('--no-ktx2'));
+
+// ═══════════════════════════════════════════════════════════════
+// PROGRESS REPORTING - When forked by server.js (job queue) we have an IPC
+// channel: send per-stage progress + the failure reason. No-op on the CLI.
+// Stages: textures → thumbnail → weld → simplify → mobile → preview → lods
+// ═══════════════════════════════════════════════════════════════
+function reportProgress(stage, progress = 0) {
+  if (process.send) process.send({ type: 'progress', stage, progress });
+}
+
+let lastError = null;
+function reportFailure(message) {
+  lastError = message;
+  if (process.send) process.send({ type: 'error', message });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// KTX2 (KHR_texture_basisu) - Textures stay GPU-compressed in memory
+// instead of decoding to full RGBA like WebP: ~4-8x less texture RAM on
+// phones. Encoded with the Basis Universal WASM encoder from ktx2-encoder.
+// ═══════════════════════════════════════════════════════════════
+const KTX2_COLOR_SLOTS = /^(baseColorTexture|emissiveTexture|diffuseTexture|specularGlossinessTexture|sheenColorTexture)$/;
+
+// ktx2-encoder needs raw RGBA in Node — sharp decodes PNG/JPEG/WebP
+async function decodeImageRGBA(data) {
+  const { data: pixels, info } = await sharp(Buffer.from(data)).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return { width: info.width, height: info.height, data: new Uint8Array(pixels.buffer, pixels.byteOffset, pixels.byteLength) };
+}
+
+// Writes a copy of `document` with every texture in KTX2. Normal maps use UASTC
+// (ETC1S smears them), color textures ETC1S in sRGB, everything else ETC1S linear.
+// Returns the output path, or null (no textures / encoder failure — caller keeps WebP only)
+async function writeKTX2Variant(io, document, outputPath) {
+  if (document.getRoot().listTextures().length === 0) return null;
+  try {
+    const ktx2Doc = cloneDocument(document);
+    const base = { imageDecoder: decodeImageRGBA, isKTX2File: true, generateMipmap: true };
+    await ktx2Doc.transform(
+      ktx2({ ...base, slots: /^normalTexture$/, isUASTC: true, isNormalMap: true, needSupercompression: true }),
+      ktx2({ ...base, slots: KTX2_COLOR_SLOTS, isUASTC: false, isPerceptual: true, isSetKTX2SRGBTransferFunc: true, qualityLevel: 128 }),
+      ktx2({ ...base, isUASTC: false, isPerceptual: false, qualityLevel: 128 })
+    );
+    const leftover = ktx2Doc.getRoot().listTextures().filter(t => t.getMimeType() !== 'image/ktx2');
+    if (leftover.length > 0) throw new Error(`${leftover.length} texture(s) could not be encoded`);
+    await io.write(outputPath, ktx2Doc);
+    return outputPath;
+  } catch (err) {
+    console.log(`   ⚠ KTX2 variant skipped: ${err.message}`);
+    if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// VARIANT VERIFICATION - Every written variant is read back (like
+// debug_animations.mjs does) and compared with the source: skins and
+// joint counts, animations and their durations, skin weights and the
+// bounding box. A Draco / quantize / simplify step that breaks skinning
+// fails the variant here instead of freezing the model in the viewer.
+// ═══════════════════════════════════════════════════════════════
+const VERIFY_BOUNDS_TOLERANCE = 0.06; // × source bbox diagonal — simplification moves the silhouette a little
+const VERIFY_DURATION_TOLERANCE = 0.01; // seconds (or 1% of the clip, whichever is larger)
+
+let verifyIO = null;
+async function getVerifyIO() {
+  if (!verifyIO) {
+    await MeshoptDecoder.ready;
+    verifyIO = new NodeIO()
+      .registerExtensions(ALL_EXTENSIONS)
+      .registerDependencies({
+        'draco3d.decoder': await draco3d.createDecoderModule(),
+        'meshopt.decoder': MeshoptDecoder
+      });
+  }
+  return verifyIO;
+}
+
+// Skinned primitive whose (sampled) weights still sum to ~1 — Draco / quantization damage
+// shows up as missing attributes or zeroed weights
+function hasUsableWeights(primitive) {
+  const joints = primitive.getAttribute('JOINTS_0');
+  const weights = primitive.getAttribute('WEIGHTS_0');
+  if (!joints || !weights || joints.getCount() !== weights.getCount()) return false;
+  const count = weights.getCount();
+  const step = Math.max(1, Math.floor(count / 500));
+  const element = [];
+  let checked = 0, bad = 0;
+  for (let i = 0; i < count; i += step) {
+    const sum = weights.getElement(i, element).reduce((a, b) => a + b, 0);
+    checked++;
+    if (Math.abs(sum - 1) > 0.1) bad++;
+  }
+  return bad <= checked * 0.01;
+}
+
+// Column-major 4×4 helpers (gltf-transform matrices)
+function multiplyMat4(a, b) {
+  const out = new Array(16);
+  for (let c = 0; c < 4; c++) {
+    for (let r = 0; r < 4; r++) {
+      out[c * 4 + r] = a[r] * b[c * 4] + a[4 + r] * b[c * 4 + 1] + a[8 + r] * b[c * 4 + 2] + a[12 + r] * b[c * 4 + 3];
+    }
+  }
+  return out;
+}
+
+const IDENTITY_MAT4 = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// Calls visit(node, primitive, positions, normals) with the world-space positions (and normals,
+// when the primitive has them) of every primitive in the scene, in its bind pose. Skinned
+// vertices go through their joints — quantization moves skinned positions into the inverse
+// bind matrices, so node transforms alone (what getBounds() uses) are wrong for them.
+function forEachBindPosePrimitive(scene, visit) {
+  const position = [], normal = [], joints = [], weights = [];
+  const blended = new Array(16);
+  scene.traverse(node => {
+    const mesh = node.getMesh();
+    if (!mesh) return;
+    const skin = node.getSkin();
+    let jointMatrices = null;
+    if (skin) {
+      const ibm = skin.getInverseBindMatrices();
+      jointMatrices = skin.listJoints().map((joint, j) => multiplyMat4(joint.getWorldMatrix(), ibm ? ibm.getElement(j, []) : IDENTITY_MAT4));
+    }
+    const world = node.getWorldMatrix();
+    for (const prim of mesh.listPrimitives()) {
+      const pos = prim.getAttribute('POSITION');
+      if (!pos) continue;
+      const nrm = prim.getAttribute('NORMAL');
+      const j0 = jointMatrices && prim.getAttribute('JOINTS_0');
+      const w0 = jointMatrices && prim.getAttribute('WEIGHTS_0');
+      const count = pos.getCount();
+      const positions = new Float32Array(count * 3);
+      const normals = nrm ? new Float32Array(count * 3) : null;
+      for (let v = 0; v < count; v++) {
+        // Linear blend skinning: weighted sum of the joint matrices
+        let m = world;
+        if (j0 && w0) {
+          j0.getElement(v, joints);
+          w0.getElement(v, weights);
+          let total = 0;
+          blended.fill(0);
+          for (let k = 0; k < 4; k++) {
+            const jm = weights[k] > 0 && jointMatrices[joints[k]];
+            if (!jm) continue;
+            for (let e = 0; e < 16; e++) blended[e] += jm[e] * weights[k];
+            total += weights[k];
+          }
+          if (total > 0) {
+            for (let e = 0; e < 16; e++) blended[e] /= total;
+            m = blended;
+          }
+        }
+        pos.getElement(v, position);
+        for (let i = 0; i < 3; i++) {
+          positions[v * 3 + i] = m[i] * position[0] + m[4 + i] * position[1] + m[8 + i] * position[2] + m[12 + i];
+        }
+        if (normals) {
+          nrm.getElement(v, normal);
+          const n = [0, 1, 2].map(i => m[i] * normal[0] + m[4 + i] * normal[1] + m[8 + i] * normal[2]);
+          const len = Math.hypot(n[0], n[1], n[2]) || 1;
+          for (let i = 0; i < 3; i++) normals[v * 3 + i] = n[i] / len;
+        }
+      }
+      visit(node, prim, positions, normals);
+    }
+  });
+}
+
+function bindPoseBounds(scene) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  forEachBindPosePrimitive(scene, (node, prim, positions) => {
+    for (let v = 0; v < positions.length; v += 3) {
+      for (let i = 0; i < 3; i++) {
+        min[i] = Math.min(min[i], positions[v + i]);
+        max[i] = Math.max(max[i], positions[v + i]);
+      }
+    }
+  });
+  return Number.isFinite(min[0]) ? { min, max } : null;
+}
+
+function summarizeModel(document) {
+  const root = document.getRoot();
+  let skinnedPrimitives = 0, weightedPrimitives = 0;
+  root.listNodes().filter(n => n.getSkin() && n.getMesh()).forEach(n => n.getMesh().listPrimitives().forEach(p => {
+    skinnedPrimitives++;
+    if (hasUsableWeights(p)) weightedPrimitives++;
+  }));
+  const scene = root.getDefaultScene() || root.listScenes()[0];
+  return {
+    joints: root.listSkins().map(s => s.listJoints().length),
+    animations: root.listAnimations().map(a => ({
+      name: a.getName() || '(unnamed)',
+      duration: a.listSamplers().reduce((max, s) => {
+        const input = s.getInput();
+        const count = input ? input.getCount() : 0;
+        return count > 0 ? Math.max(max, input.getElement(count - 1, [])[0] || 0) : max;
+      }, 0)
+    })),
+    skinnedPrimitives,
+    weightedPrimitives,
+    bounds: scene ? bindPoseBounds(scene) : null
+  };
+}
+
+function compareSummaries(source, variant) {
+  const problems = [];
+  if (variant.joints.length !== source.joints.length) {
+    problems.push(`skins: ${variant.joints.length}, source has ${source.joints.length}`);
+  } else {
+    source.joints.forEach((n, i) => {
+      if (variant.joints[i] !== n) problems.push(`skin ${i}: ${variant.joints[i]} joints, source has ${n}`);
+    });
+  }
+  if (variant.weightedPrimitives < source.weightedPrimitives) {
+    problems.push(`skin weights lost: ${variant.weightedPrimitives}/${source.weightedPrimitives} skinned primitives still weighted`);
+  }
+  if (variant.animations.length !== source.animations.length) {
+    problems.push(`animations: ${variant.animations.length}, source has ${source.animations.length}`);
+  } else {
+    source.animations.forEach((a, i) => {
+      const d = variant.animations[i].duration;
+      if (Math.abs(d - a.duration) > Math.max(VERIFY_DURATION_TOLERANCE, a.duration * 0.01)) {
+        problems.push(`animation "${a.name}": ${d.toFixed(3)}s, source is ${a.duration.toFixed(3)}s`);
+      }
+    });
+  }
+  if (source.bounds) {
+    if (!variant.bounds) {
+      problems.push('no geometry left');
+    } else {
+      const { min, max } = source.bounds;
+      const diagonal = Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+      const drift = Math.max(...[0, 1, 2].flatMap(i => [
+        Math.abs(variant.bounds.min[i] - min[i]), Math.abs(variant.bounds.max[i] - max[i])
+      ]));
+      if (drift > diagonal * VERIFY_BOUNDS_TOLERANCE) {
+        problems.push(`bounding box moved ${(drift / (diagonal || 1) * 100).toFixed(1)}% of its size`);
+      }
+    }
+  }
+  return problems;
+}
+
+// Reads the file back and compares it with the source summary. Logs + reports the result
+// (server stores it as asset.variantChecks). Returns true when the variant can be served.
+async function verifyVariant(filePath, source, variant, fallback) {
+  let problems;
+  try {
+    const document = await (await getVerifyIO()).read(filePath);
+    problems = compareSummaries(source, summarizeModel(document));
+  } catch (err) {
+    problems = [`unreadable: ${err.message}`];
+  }
+  const ok = problems.length === 0;
+  if (ok) console.log(`      🔍 ${variant}: verified (${source.joints.length} skins, ${source.animations.length} animations)`);
+  else console.log(`      ❌ ${variant} failed verification: ${problems.join('; ')}`);
+  if (process.send) process.send({ type: 'verify', variant, ok, problems, ...(fallback ? { fallback } : {}) });
+  return ok;
+}
+
+// Failed variants are removed — the viewer then falls back to the next one
+function discardVariant(filePath) {
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+}
+
+async function useMeshopt(document) {
+  await MeshoptEncoder.ready;
+  document.createExtension(EXTMeshoptCompression)
+    .setRequired(true)
+    .setEncoderOptions({ method: MeshoptEncoder.filter });
+}
+
+// CRITICAL: Draco compression DESTROYS skin data (JOINTS/WEIGHTS) for animated models!
+// Bones animate correctly but mesh vertices don't follow → model appears frozen.
+// Solution: Meshopt for animated / skinned models, Draco for static ones — and a static
+// model whose Draco file fails verification is written again with Meshopt.
+// Returns the encoding that passed ('draco' | 'meshopt'); throws when none did.
+async function writeDesktopVariant(io, document, outputPath, source) {
+  const root = document.getRoot();
+  const animated = root.listAnimations().length > 0 || root.listSkins().length > 0;
+
+  if (animated) {
+    console.log(`   🎬 Animated/skinned model detected — using Meshopt (Draco would break skinning)`);
+    await useMeshopt(document);
+  } else {
+    console.log('   🗜  Static model — applying Draco compression...');
+    await document.transform(
+      draco({
+        method: 'edgebreaker',
+        encodeSpeed: 5,
+        decodeSpeed: 5,
+        quantizePosition: 14,
+        quantizeNormal: 10,
+        quantizeTexcoord: 12,
+        quantizeColor: 8,
+      })
+    );
+  }
+  await io.write(outputPath, document);
+  if (await verifyVariant(outputPath, source, 'desktop')) return animated ? 'meshopt' : 'draco';
+
+  if (!animated) {
+    // Draco is the usual suspect — same document with Meshopt instead
+    console.log('   🔄 Rewriting High-Res file with Meshopt instead of Draco...');
+    document.createExtension(KHRDracoMeshCompression).dispose();
+    await useMeshopt(document);
+    await io.write(outputPath, document);
+    if (await verifyVariant(outputPath, source, 'desktop', 'meshopt')) return 'meshopt';
+  }
+  discardVariant(outputPath);
+  throw Object.assign(new Error('Desktop variant failed verification'), { verification: true });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// THUMBNAILS - Poster <name>.thumb.webp and turntable <name>.turntable.webp
+// rendered headless by lib/softwareRenderer.js from the source geometry in
+// its bind pose (before simplification). Used by the gallery / asset list
+// and as the viewer's loading-screen background. Failures never fail the job.
+// ═══════════════════════════════════════════════════════════════
+const THUMBNAIL_SIZE = 512;               // rendered at 2× and downscaled — cheap anti-aliasing
+const THUMBNAIL_YAW = 0.5;                // radians — three-quarter view
+const TURNTABLE_SIZE = 256;
+const TURNTABLE_FRAMES = 24;
+const TURNTABLE_FRAME_MS = 80;
+const TURNTABLE_MAX_TRIANGLES = 400000;   // 24 frames in JS — heavier models get the poster only
+const TURNTABLE_ENABLED = PROFILE.turntable && !process.argv.includes('--no-turntable');
+
+const linearToSRGB = c => Math.pow(Math.max(0, Math.min(1, c)), 1 / 2.2);
+
+async function decodeRenderTexture(texture) {
+  try {
+    const { data, info } = await sharp(Buffer.from(texture.getImage()))
+      .resize(256, 256, { fit: 'inside', withoutEnlargement: true })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { width: info.width, height: info.height, data };
+  } catch (e) {
+    return null; // KTX2 / unreadable — base color only
+  }
+}
+
+// Triangle primitives → softwareRenderer meshes (world space, bind pose)
+async function collectRenderMeshes(document) {
+  const root = document.getRoot();
+  const scene = root.getDefaultScene() || root.listScenes()[0];
+  if (!scene) return [];
+  const meshes = [];
+  forEachBindPosePrimitive(scene, (node, prim, positions, normals) => {
+    if (prim.getMode() !== 4) return; // TRIANGLES only
+    const material = prim.getMaterial();
+    const factor = material ? material.getBaseColorFactor() : [1, 1, 1, 1];
+    const texture = material && material.getBaseColorTexture();
+    const texCoord = material && material.getBaseColorTextureInfo() ? material.getBaseColorTextureInfo().getTexCoord() : 0;
+    const uvAttribute = texture ? prim.getAttribute(`TEXCOORD_${texCoord}`) : null;
+    let uvs = null;
+    if (uvAttribute) {
+      uvs = new Float32Array(uvAttribute.getCount() * 2);
+      const uv = [];
+      for (let v = 0; v < uvAttribute.getCount(); v++) {
+        uvAttribute.getElement(v, uv);
+        uvs[v * 2] = uv[0];
+        uvs[v * 2 + 1] = uv[1];
+      }
+    }
+    const indices = prim.getIndices();
+    meshes.push({
+      positions,
+      normals,
+      uvs,
+      indices: indices ? Uint32Array.from(indices.getArray()) : null,
+      texture: uvs ? texture : null,
+      material: {
+        color: [linearToSRGB(factor[0]), linearToSRGB(factor[1]), linearToSRGB(factor[2]), factor[3]],
+        alphaCutoff: material && material.getAlphaMode() === 'MASK' ? material.getAlphaCutoff() : null
+      }
+    });
+  });
+  const decoded = new Map(); // textures are shared between primitives — decode each once
+  for (const mesh of meshes) {
+    if (mesh.texture) {
+      if (!decoded.has(mesh.texture)) decoded.set(mesh.texture, await decodeRenderTexture(mesh.texture));
+      mesh.material.texture = decoded.get(mesh.texture);
+    }
+    delete mesh.texture;
+  }
+  return meshes;
+}
+
+function renderToImage(meshes, bounds, size, yaw) {
+  const scale = 2;
+  const pixels = renderFrame(meshes, { width: size * scale, height: size * scale, yaw, bounds });
+  return sharp(pixels, { raw: { width: size * scale, height: size * scale, channels: 4 } }).resize(size, size);
+}
+
+// Writes the poster (+ turntable when enabled). Returns { thumbnail, turntable } paths or null.
+async function renderThumbnails(document, outputPath) {
+  const ext = path.extname(outputPath);
+  const baseName = path.basename(outputPath, ext);
+  const thumbnailPath = path.join(OPTIMIZED_DIR, `${baseName}.thumb.webp`);
+  const turntablePath = path.join(OPTIMIZED_DIR, `${baseName}.turntable.webp`);
+  console.log('   📸 Rendering thumbnail...');
+  reportProgress('thumbnail', 0);
+  try {
+    const meshes = await collectRenderMeshes(document);
+    const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+    let triangles = 0;
+    for (const mesh of meshes) {
+      triangles += (mesh.indices ? mesh.indices.length : mesh.positions.length / 3) / 3;
+      for (let v = 0; v < mesh.positions.length; v += 3) {
+        for (let i = 0; i < 3; i++) {
+          min[i] = Math.min(min[i], mesh.positions[v + i]);
+          max[i] = Math.max(max[i], mesh.positions[v + i]);
+        }
+      }
+    }
+    if (triangles === 0) throw new Error('no triangles to render');
+    const bounds = { min, max };
+
+    await renderToImage(meshes, bounds, THUMBNAIL_SIZE, THUMBNAIL_YAW).webp({ quality: 82 }).toFile(thumbnailPath);
+    console.log(`   ✅ Thumbnail: ${formatSize(fs.statSync(thumbnailPath).size)}`);
+    reportProgress('thumbnail', 0.2);
+
+    let turntable = null;
+    if (TURNTABLE_ENABLED && triangles <= TURNTABLE_MAX_TRIANGLES) {
+      const frames = [];
+      for (let i = 0; i < TURNTABLE_FRAMES; i++) {
+        const yaw = THUMBNAIL_YAW + (2 * Math.PI * i) / TURNTABLE_FRAMES;
+        frames.push(await renderToImage(meshes, bounds, TURNTABLE_SIZE, yaw).png().toBuffer());
+        reportProgress('thumbnail', 0.2 + 0.8 * (i + 1) / TURNTABLE_FRAMES);
+      }
+      await sharp(frames, { join: { animated: true } })
+        .webp({ quality: 70, loop: 0, delay: new Array(TURNTABLE_FRAMES).fill(TURNTABLE_FRAME_MS) })
+        .toFile(turntablePath);
+      turntable = turntablePath;
+      console.log(`   ✅ Turntable (${TURNTABLE_FRAMES} frames): ${formatSize(fs.statSync(turntablePath).size)}`);
+    } else {
+      if (TURNTABLE_ENABLED) console.log(`   ⏭  Turntable skipped: ${Math.round(triangles).toLocaleString()} triangles`);
+      discardVariant(turntablePath);
+    }
+    reportProgress('thumbnail', 1);
+    return { thumbnail: thumbnailPath, turntable };
+  } catch (err) {
+    console.log(`   ⚠ Thumbnail failed: ${err.message}`);
+    reportProgress('thumbnail', 1);
+    return null;
+  }
+}
 
 async function optimizeModel(inputPath) {
   const filename = path.basename(inputPath);
@@ -53,24 +523,33 @@ async function optimizeModel(inputPath) {
 
   const outputPath = path.join(OPTIMIZED_DIR, filename);
   const mobilePath = path.join(OPTIMIZED_DIR, `${baseName}.mobile${ext}`);
+  const mobileKtx2Path = path.join(OPTIMIZED_DIR, `${baseName}.mobile.ktx2${ext}`);
   const previewPath = path.join(OPTIMIZED_DIR, `${baseName}.preview${ext}`);
 
   // Skip if already optimized
   if (inputPath.includes('/optimized/')) return;
 
-  // Skip if all optimized versions exist and are newer
-  if (fs.existsSync(outputPath) && fs.existsSync(mobilePath) && fs.existsSync(previewPath)) {
+  // Skip if all optimized versions exist and are newer (--force: profile changed)
+  if (!FORCE && fs.existsSync(outputPath) && fs.existsSync(mobilePath) && fs.existsSync(previewPath)) {
     const inputStat = fs.statSync(inputPath);
     const outputStat = fs.statSync(outputPath);
     if (outputStat.mtimeMs > inputStat.mtimeMs) {
       console.log(`⏭  ${filename} already optimized & mobile/preview generated`);
-      return { outputPath, mobilePath, previewPath };
+      // Assets optimized before thumbnails existed — render them from the original
+      if (!fs.existsSync(path.join(OPTIMIZED_DIR, `${baseName}.thumb.webp`))) {
+        const io = new NodeIO()
+          .registerExtensions(ALL_EXTENSIONS)
+          .registerDependencies({ 'draco3d.decoder': await draco3d.createDecoderModule(), 'meshopt.decoder': MeshoptDecoder });
+        await MeshoptDecoder.ready;
+        await renderThumbnails(await io.read(inputPath), outputPath);
+      }
+      return { outputPath, mobilePath, previewPath, skipped: true };
     }
   }
 
   const inputSize = fs.statSync(inputPath).size;
   console.log(`\n🔧 Optimizing: ${filename} (${formatSize(inputSize)})`);
-  console.log(`   Max texture: ${MAX_TEXTURE_SIZE}px, Quality: ${TEXTURE_QUALITY}%`);
+  console.log(`   Profile: ${PROFILE.name} | Max texture: ${MAX_TEXTURE_SIZE}px, Quality: ${TEXTURE_QUALITY}%${KTX2_ENABLED ? ' | KTX2 mobile variant' : ''}`);
 
   try {
     // Initialize IO with Draco support
@@ -93,6 +572,8 @@ async function optimizeModel(inputPath) {
 
     // Step 1: Compress textures using sharp (High-Res WebP) — PARALLEL for speed
     console.log('   🖼  Compressing textures to High-Res WebP (parallel)...');
+    reportProgress('textures', 0);
+    let texturesDone = 0;
     const textureJobs = textures.map(async (texture, idx) => {
       const imageData = texture.getImage();
       if (!imageData || imageData.byteLength === 0) return;
@@ -128,6 +609,8 @@ async function optimizeModel(inputPath) {
         console.log(`      [${idx+1}/${textures.length}] ${origDim} → WebP ${formatSize(origSize)} → ${formatSize(newSize)} (${Math.round((1 - newSize / origSize) * 100)}%↓)`);
       } catch (texErr) {
         console.log(`      ⚠ tex[${idx}]: ${texErr.message}`);
+      } finally {
+        reportProgress('textures', ++texturesDone / textures.length);
       }
     });
     // Process up to 4 textures in parallel (balance speed vs RAM)
@@ -143,12 +626,19 @@ async function optimizeModel(inputPath) {
     console.log('   ✂️  Pruning unused data...');
     await document.transform(prune());
 
+    // What every variant is verified against — taken after prune, unused skins/clips are meant to go
+    const source = summarizeModel(document);
+
+    // Poster/turntable from the full-detail geometry, before simplification
+    await renderThumbnails(document, outputPath);
+
     // Step 4: Resample animations
     console.log('   🎬 Resampling animations...');
     await document.transform(resample());
 
     // Step 5: Weld duplicate vertices (reduces 993k → ~300k for typical models)
     console.log('   🔗 Welding duplicate vertices...');
+    reportProgress('weld', 0);
     let totalVertsBefore = 0;
     document.getRoot().listMeshes().forEach(m => m.listPrimitives().forEach(p => {
       const pos = p.getAttribute('POSITION');
@@ -162,8 +652,9 @@ async function optimizeModel(inputPath) {
     }));
     console.log(`   📊 Vertices: ${totalVertsBefore.toLocaleString()} → ${totalVertsAfter.toLocaleString()} (${Math.round((1 - totalVertsAfter / totalVertsBefore) * 100)}% reduction)`);
 
-    // Step 5b: Simplify if vertex count is slightly high for DESKTOP (>500k)
-    const MAX_DESKTOP_VERTICES = 500000;
+    // Step 5b: Simplify if vertex count is high for DESKTOP (profile limit, 500k in "standard")
+    reportProgress('simplify', 0);
+    const MAX_DESKTOP_VERTICES = DESKTOP.maxVertices;
     if (totalVertsAfter > MAX_DESKTOP_VERTICES) {
       const ratio = MAX_DESKTOP_VERTICES / totalVertsAfter;
       console.log(`   ✂️  Simplifying HD mesh: ${totalVertsAfter.toLocaleString()} vertices exceeds desktop recommended limit`);
@@ -173,6 +664,8 @@ async function optimizeModel(inputPath) {
       );
     }
 
+    reportProgress('simplify', 0.4);
+
     // Step 6: Quantize vertex data
     // CRITICAL: Exclude JOINTS and WEIGHTS from quantization!
     // Quantizing these destroys the vertex→bone binding, making animations
@@ -182,37 +675,10 @@ async function optimizeModel(inputPath) {
       excludeAttributes: ['JOINTS_0', 'JOINTS_1', 'WEIGHTS_0', 'WEIGHTS_1']
     }));
 
-    // Step 7: Compression
-    // CRITICAL: Draco compression DESTROYS skin data (JOINTS/WEIGHTS) for animated models!
-    // Bones animate correctly but mesh vertices don't follow → model appears frozen.
-    // Solution: Use Meshopt for animated models, Draco for static models.
-    const hasAnimations = root.listAnimations().length > 0;
-    const hasSkins = root.listSkins().length > 0;
-
-    if (hasAnimations || hasSkins) {
-      console.log(`   🎬 Animated/skinned model detected — using Meshopt (Draco would break skinning)`);
-      await MeshoptEncoder.ready;
-      document.createExtension(EXTMeshoptCompression)
-        .setRequired(true)
-        .setEncoderOptions({ method: MeshoptEncoder.filter });
-    } else {
-      console.log('   🗜  Static model — applying Draco compression...');
-      await document.transform(
-        draco({
-          method: 'edgebreaker',
-          encodeSpeed: 5,
-          decodeSpeed: 5,
-          quantizePosition: 14,
-          quantizeNormal: 10,
-          quantizeTexcoord: 12,
-          quantizeColor: 8,
-        })
-      );
-    }
-
-    // Write optimized High-Res file (Desktop)
+    // Step 7: Compression, write, verify (Draco → Meshopt fallback)
     console.log('   💾 Writing optimized High-Res file (Desktop)...');
-    await io.write(outputPath, document);
+    reportProgress('simplify', 0.8);
+    await writeDesktopVariant(io, document, outputPath, source);
 
     const outputSize = fs.statSync(outputPath).size;
     const reduction = Math.round((1 - outputSize / inputSize) * 100);
@@ -221,14 +687,15 @@ async function optimizeModel(inputPath) {
     // ═══════════════════════════════════════════════════════════════
     // MOBILE OPTIMIZATION - Aggressive simplification for iOS RAM limits
     // ═══════════════════════════════════════════════════════════════
-    console.log('   📱 Generating Mobile-Optimized Model (<100k vertices)...');
+    console.log(`   📱 Generating Mobile-Optimized Model (<${MOBILE.maxVertices.toLocaleString()} vertices)...`);
+    reportProgress('mobile', 0);
     let currentVerts = 0;
     document.getRoot().listMeshes().forEach(m => m.listPrimitives().forEach(p => {
       currentVerts += p.getAttribute('POSITION')?.getCount() || 0;
     }));
 
     // iOS WebGL heap crashes instantly above ~150k vertices during Draco decode
-    const MAX_MOBILE_VERTS = 100000;
+    const MAX_MOBILE_VERTS = MOBILE.maxVertices;
     if (currentVerts > MAX_MOBILE_VERTS) {
       const mobileRatio = MAX_MOBILE_VERTS / currentVerts;
       console.log(`      ✂️ Simplifying ${currentVerts.toLocaleString()} → ~${MAX_MOBILE_VERTS.toLocaleString()} vertices`);
@@ -238,7 +705,7 @@ async function optimizeModel(inputPath) {
       );
     }
 
-    // Scale textures down to 512px max for mobile specifically
+    // Scale textures down for mobile specifically (512px in "standard")
     for (const texture of textures) {
       const imageData = texture.getImage();
       if (!imageData || imageData.byteLength === 0) continue;
@@ -246,9 +713,9 @@ async function optimizeModel(inputPath) {
         const buffer = Buffer.from(imageData);
         let img = sharp(buffer);
         const metadata = await img.metadata();
-        if (metadata.width > 512 || metadata.height > 512) {
-          img = img.resize(512, 512, { fit: 'inside', withoutEnlargement: true });
-          const compressed = await img.webp({ quality: 70 }).toBuffer();
+        if (metadata.width > MOBILE.maxTextureSize || metadata.height > MOBILE.maxTextureSize) {
+          img = img.resize(MOBILE.maxTextureSize, MOBILE.maxTextureSize, { fit: 'inside', withoutEnlargement: true });
+          const compressed = await img.webp({ quality: MOBILE.textureQuality }).toBuffer();
           texture.setImage(new Uint8Array(compressed));
         }
       } catch (e) { }
@@ -271,14 +738,35 @@ async function optimizeModel(inputPath) {
       .setEncoderOptions({ method: MeshoptEncoder.filter });
 
     // Write Mobile file (No Draco, Yes Meshopt)
+    reportProgress('mobile', 0.7);
     await io.write(mobilePath, document);
-    const mobileSize = fs.statSync(mobilePath).size;
-    console.log(`   ✅ Mobile Model generated (NO DRACO): ${formatSize(mobileSize)}`);
+    const mobileOk = await verifyVariant(mobilePath, source, 'mobile');
+    if (mobileOk) {
+      console.log(`   ✅ Mobile Model generated (NO DRACO): ${formatSize(fs.statSync(mobilePath).size)}`);
+    } else {
+      discardVariant(mobilePath); // viewer falls back to the preview / desktop model
+    }
+
+    // Same mobile model with KTX2 textures — the viewer uses it when the GPU has a compressed format
+    let mobileKtx2 = null;
+    if (KTX2_ENABLED && mobileOk) {
+      console.log('   🧊 Encoding KTX2 (Basis Universal) textures for the mobile model...');
+      reportProgress('mobile', 0.8);
+      mobileKtx2 = await writeKTX2Variant(io, document, mobileKtx2Path);
+      if (mobileKtx2 && !await verifyVariant(mobileKtx2Path, source, 'mobileKtx2')) {
+        discardVariant(mobileKtx2Path);
+        mobileKtx2 = null;
+      }
+      if (mobileKtx2) console.log(`   ✅ Mobile KTX2 Model generated: ${formatSize(fs.statSync(mobileKtx2Path).size)}`);
+    } else if (fs.existsSync(mobileKtx2Path)) {
+      fs.unlinkSync(mobileKtx2Path); // left over from a profile with KTX2 enabled (or the mobile model failed)
+    }
 
     // ═══════════════════════════════════════════════════════════════
     // PREVIEW OPTIMIZATION
     // ═══════════════════════════════════════════════════════════════
     console.log('   👻 Generating ultra-low-res Preview Model (< 1MB)...');
+    reportProgress('preview', 0);
     for (const texture of textures) {
       const imageData = texture.getImage();
       if (!imageData || imageData.byteLength === 0) continue;
@@ -289,37 +777,44 @@ async function optimizeModel(inputPath) {
         const metadata = await img.metadata();
         if (!metadata.width) continue;
 
-        // Compress everything down to 128px maximum for the preview mesh
-        img = img.resize(128, 128, { fit: 'inside', withoutEnlargement: true });
+        // Compress everything down to the preview size (128px in "standard")
+        img = img.resize(PREVIEW.maxTextureSize, PREVIEW.maxTextureSize, { fit: 'inside', withoutEnlargement: true });
 
         // Ultra-low quality WebP for preview
-        const compressedBuffer = await img.webp({ quality: 30, effort: 1 }).toBuffer();
+        const compressedBuffer = await img.webp({ quality: PREVIEW.textureQuality, effort: 1 }).toBuffer();
         texture.setImage(new Uint8Array(compressedBuffer));
       } catch (e) { }
     }
 
     // Write Preview file
     await io.write(previewPath, document);
+    if (!await verifyVariant(previewPath, source, 'preview')) {
+      discardVariant(previewPath);
+      reportProgress('preview', 1);
+      return { outputPath, mobilePath, mobileKtx2 };
+    }
     const previewSize = fs.statSync(previewPath).size;
     console.log(`   ✅ Preview Model generated: ${formatSize(previewSize)}`);
+    reportProgress('preview', 1);
 
     // Discard preview if it's too large and not significantly smaller than the HD version
     // If geometry is the bottleneck, scaling textures won't help much.
     if (previewSize > 2 * 1024 * 1024 && previewSize > outputSize * 0.5) {
       console.log(`   ⏭  Preview model is ${formatSize(previewSize)}, not small enough. Discarding preview to save bandwidth.`);
       fs.unlinkSync(previewPath);
-      return { outputPath, mobilePath };
+      return { outputPath, mobilePath, mobileKtx2 };
     }
 
-    return { outputPath, mobilePath, previewPath };
+    return { outputPath, mobilePath, mobileKtx2, previewPath };
   } catch (err) {
     console.error(`   ❌ Failed to optimize ${filename}:`, err.message);
 
-    // Fallback: if Draco fails, try without it
-    if (err.message.includes('draco') || err.message.includes('Draco')) {
+    // Fallback: if Draco fails (or the result didn't verify), try without it — no simplification either
+    if (err.verification || err.message.includes('draco') || err.message.includes('Draco')) {
       console.log('   🔄 Retrying without Draco...');
       return await optimizeWithoutDraco(inputPath, outputPath, inputSize);
     }
+    reportFailure(err.message);
     return null;
   }
 }
@@ -356,7 +851,10 @@ async function optimizeWithoutDraco(inputPath, outputPath, inputSize) {
     // CRITICAL: Exclude JOINTS/WEIGHTS from quantize to preserve skin/animation data
     const hasAnimFallback = document.getRoot().listAnimations().length > 0;
     const hasSkinFallback = document.getRoot().listSkins().length > 0;
-    await document.transform(dedup(), prune(), resample(), quantize({
+    await document.transform(dedup(), prune());
+    const source = summarizeModel(document);
+    if (!fs.existsSync(outputPath.replace(/\.(glb|gltf)$/i, '.thumb.webp'))) await renderThumbnails(document, outputPath);
+    await document.transform(resample(), quantize({
       excludeAttributes: ['JOINTS_0', 'JOINTS_1', 'WEIGHTS_0', 'WEIGHTS_1']
     }));
 
@@ -369,6 +867,11 @@ async function optimizeWithoutDraco(inputPath, outputPath, inputSize) {
         .setEncoderOptions({ method: MeshoptEncoder.filter });
     }
     await io.write(outputPath, document);
+    if (!await verifyVariant(outputPath, source, 'desktop', 'no-draco')) {
+      discardVariant(outputPath);
+      reportFailure('Optimized model failed verification (skins / animations / bounds differ from the source)');
+      return null;
+    }
 
     const outputSize = fs.statSync(outputPath).size;
     const reduction = Math.round((1 - outputSize / inputSize) * 100);
@@ -380,12 +883,16 @@ async function optimizeWithoutDraco(inputPath, outputPath, inputSize) {
       if (!imageData) continue;
       try {
         const buffer = Buffer.from(imageData);
-        const compressed = await sharp(buffer).resize(128, 128, { fit: 'inside' }).webp({ quality: 30 }).toBuffer();
+        const compressed = await sharp(buffer).resize(PREVIEW.maxTextureSize, PREVIEW.maxTextureSize, { fit: 'inside' }).webp({ quality: PREVIEW.textureQuality }).toBuffer();
         texture.setImage(new Uint8Array(compressed));
       } catch { }
     }
     const previewPath = outputPath.replace(/\.(glb|gltf)$/i, '.preview.$1');
     await io.write(previewPath, document);
+    if (!await verifyVariant(previewPath, source, 'preview')) {
+      discardVariant(previewPath);
+      return { outputPath };
+    }
 
     const previewSize = fs.statSync(previewPath).size;
     if (previewSize > 2 * 1024 * 1024 && previewSize > outputSize * 0.5) {
@@ -397,6 +904,127 @@ async function optimizeWithoutDraco(inputPath, outputPath, inputSize) {
     return { outputPath, previewPath };
   } catch (err) {
     console.error(`   ❌ Fallback also failed:`, err.message);
+    reportFailure(`Fallback (no Draco) failed: ${err.message}`);
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LOD CHAIN - Level 0 is the desktop file; each following level is
+// simplified from the previous one down to the profile's vertex budget
+// (same node/skin layout, so the viewer can swap geometry in place).
+// Written with Meshopt, no Draco, like the mobile model.
+// Manifest <name>.lods.json: [{ level, file, vertices, size, maxTextureSize }]
+// ═══════════════════════════════════════════════════════════════
+function countVertices(document) {
+  let total = 0;
+  document.getRoot().listMeshes().forEach(m => m.listPrimitives().forEach(p => {
+    total += p.getAttribute('POSITION')?.getCount() || 0;
+  }));
+  return total;
+}
+
+// Downscale textures above maxSize; returns the largest texture side left
+async function resizeTextures(document, maxSize, quality) {
+  let largest = 0;
+  for (const texture of document.getRoot().listTextures()) {
+    const imageData = texture.getImage();
+    if (!imageData || imageData.byteLength === 0) continue;
+    try {
+      let img = sharp(Buffer.from(imageData));
+      const metadata = await img.metadata();
+      if (!metadata.width) continue;
+      if (metadata.width > maxSize || metadata.height > maxSize) {
+        img = img.resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true });
+        const compressed = await img.webp({ quality }).toBuffer();
+        texture.setImage(new Uint8Array(compressed));
+        texture.setMimeType('image/webp');
+        largest = Math.max(largest, Math.min(maxSize, Math.max(metadata.width, metadata.height)));
+      } else {
+        largest = Math.max(largest, metadata.width, metadata.height);
+      }
+    } catch (e) { }
+  }
+  return largest;
+}
+
+async function generateLODChain(desktopPath) {
+  const ext = path.extname(desktopPath);
+  const baseName = path.basename(desktopPath, ext);
+  const manifestPath = path.join(OPTIMIZED_DIR, `${baseName}.lods.json`);
+
+  // Levels from a previous run / another profile
+  const isLodFile = f => f.startsWith(`${baseName}.lod`) && /^\.lod\d+\.(glb|gltf)$/i.test(f.slice(baseName.length));
+  fs.readdirSync(OPTIMIZED_DIR).filter(isLodFile).forEach(f => fs.unlinkSync(path.join(OPTIMIZED_DIR, f)));
+  if (fs.existsSync(manifestPath)) fs.unlinkSync(manifestPath);
+  if (!PROFILE.lods.length) return null;
+
+  console.log(`   🪜 Generating LOD chain (${PROFILE.lods.length} levels below desktop)...`);
+  reportProgress('lods', 0);
+  try {
+    // The desktop file is Draco (static) or Meshopt (animated/skinned)
+    await MeshoptDecoder.ready;
+    const io = new NodeIO()
+      .registerExtensions(ALL_EXTENSIONS)
+      .registerDependencies({
+        'draco3d.decoder': await draco3d.createDecoderModule(),
+        'meshopt.decoder': MeshoptDecoder,
+        'meshopt.encoder': MeshoptEncoder
+      });
+    const document = await io.read(desktopPath);
+    // The desktop file was verified against the source — levels must keep its skins/clips/bounds
+    const source = summarizeModel(document);
+
+    const chain = [{
+      level: 0,
+      file: path.basename(desktopPath),
+      vertices: countVertices(document),
+      size: fs.statSync(desktopPath).size,
+      maxTextureSize: await resizeTextures(document, Infinity, TEXTURE_QUALITY)
+    }];
+
+    document.createExtension(KHRDracoMeshCompression).dispose();
+    await MeshoptEncoder.ready;
+    document.createExtension(EXTMeshoptCompression)
+      .setRequired(true)
+      .setEncoderOptions({ method: MeshoptEncoder.filter });
+
+    for (const [i, level] of PROFILE.lods.entries()) {
+      let vertices = countVertices(document);
+      if (vertices > level.maxVertices) {
+        await MeshoptSimplifier.ready;
+        await document.transform(
+          simplify({ simplifier: MeshoptSimplifier, ratio: level.maxVertices / vertices, error: level.simplifyError })
+        );
+        vertices = countVertices(document);
+      }
+      const maxTextureSize = await resizeTextures(document, level.maxTextureSize, level.textureQuality);
+      reportProgress('lods', (i + 1) / PROFILE.lods.length);
+
+      // Not meaningfully lighter than the previous level (small model / simplifier hit its error bound)
+      const previous = chain[chain.length - 1];
+      if (vertices > previous.vertices * 0.8 && maxTextureSize >= previous.maxTextureSize) {
+        console.log(`      ⏭  LOD budget ${level.maxVertices.toLocaleString()}: ${vertices.toLocaleString()} vertices, not lighter than level ${previous.level} — skipped`);
+        continue;
+      }
+
+      const file = `${baseName}.lod${chain.length}${ext}`;
+      await io.write(path.join(OPTIMIZED_DIR, file), document);
+      // Every further level is simplified from this one — stop the chain here
+      if (!await verifyVariant(path.join(OPTIMIZED_DIR, file), source, `lod${chain.length}`)) {
+        discardVariant(path.join(OPTIMIZED_DIR, file));
+        break;
+      }
+      const size = fs.statSync(path.join(OPTIMIZED_DIR, file)).size;
+      chain.push({ level: chain.length, file, vertices, size, maxTextureSize });
+      console.log(`      ✅ LOD ${chain.length - 1}: ${vertices.toLocaleString()} vertices, ${maxTextureSize}px textures, ${formatSize(size)}`);
+    }
+
+    fs.writeFileSync(manifestPath, JSON.stringify(chain, null, 2));
+    return chain;
+  } catch (err) {
+    // LODs are an extra — the desktop/mobile/preview variants are already written
+    console.log(`   ⚠ LOD chain failed: ${err.message}`);
     return null;
   }
 }
@@ -418,7 +1046,15 @@ async function main() {
   if (specificFile && !specificFile.startsWith('--')) {
     // Optimize specific file
     const fullPath = path.isAbsolute(specificFile) ? specificFile : path.join(process.cwd(), specificFile);
-    await optimizeModel(fullPath);
+    const result = await optimizeModel(fullPath);
+    // Non-zero exit tells the server's job queue to retry / record the failure
+    if (result === null) {
+      if (!lastError) reportFailure('Optimization failed');
+      process.exitCode = 1;
+    } else if (result && result.outputPath && !result.skipped) {
+      // After optimizeModel returns, so its document can be collected first
+      await generateLODChain(result.outputPath);
+    }
   } else {
     // Optimize all GLB files in uploads
     const files = fs.readdirSync(UPLOADS_DIR)
@@ -427,7 +1063,7 @@ async function main() {
 
     console.log(`\n═══════════════════════════════════════════════════════`);
     console.log(`  MODEL OPTIMIZER - ${files.length} files to process`);
-    console.log(`  Max texture: ${MAX_TEXTURE_SIZE}px | Quality: ${TEXTURE_QUALITY}%`);
+    console.log(`  Profile: ${PROFILE.name} | Max texture: ${MAX_TEXTURE_SIZE}px | Quality: ${TEXTURE_QUALITY}%`);
     console.log(`═══════════════════════════════════════════════════════`);
 
     let totalOriginal = 0, totalOptimized = 0, successCount = 0;
@@ -440,6 +1076,7 @@ async function main() {
       if (result && result.outputPath && fs.existsSync(result.outputPath)) {
         totalOptimized += fs.statSync(result.outputPath).size;
         successCount++;
+        if (!result.skipped) await generateLODChain(result.outputPath);
       }
     }
 
@@ -451,7 +1088,13 @@ async function main() {
   }
 }
 
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+// Run as a script (also when forked by server.js); test/ imports the verification helpers
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch(err => {
+    console.error('Fatal error:', err);
+    reportFailure(err.message);
+    process.exit(1);
+  });
+}
+
+export { summarizeModel, compareSummaries, verifyVariant, writeDesktopVariant };
@@ -96,11 +96,13 @@ async function evictOldModels() {
 self.addEventListener('fetch', event => {
   const url = new URL(event.request.url);
 
-  // Model files: cache-first (they don't change — unique filenames)
+  // Model files: cache-first (they don't change — unique filenames).
+  // Keyed without the query — signed links (?exp=&sig=) change every few minutes.
   if (url.pathname.match(/\.(glb|gltf|fbx)$/i)) {
+    const cacheKey = url.origin + url.pathname;
     event.respondWith(
       caches.open(MODEL_CACHE).then(async cache => {
-        const cached = await cache.match(event.request);
+        const cached = await cache.match(cacheKey);
         if (cached) {
           console.log('SW: Model from cache:', url.pathname);
           return cached;
@@ -119,7 +121,7 @@ self.addEventListener('fetch', event => {
               statusText: response.statusText,
               headers
             });
-            cache.put(event.request, cachedResponse);
+            cache.put(cacheKey, cachedResponse);
 
             // Run LRU eviction in background (non-blocking)
             evictOldModels();
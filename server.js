@@ -4,11 +4,42 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
 const { nanoid } = require('nanoid');
 const cors = require('cors');
-const { BlobServiceClient, BlobSASPermissions } = require('@azure/storage-blob');
+const sharp = require('sharp');
+const { openRepository, migrateLegacyJSON } = require('./lib/db');
+const { openStorage, contentTypeFor, keyFromUrl, storedKeys, storedKeysPatch, BLOB_FIELDS } = require('./lib/storage');
+const { createJobQueue } = require('./lib/jobQueue');
+const { normalizeEffects } = require('./lib/effects');
+const { convertFBXToGLB } = require('./lib/fbxConverter');
+const { validateModel } = require('./lib/modelValidator');
+const { resolveProfile, isKnownProfile, listProfiles } = require('./lib/optimizationProfiles');
+const { renderQR, parseQROptions } = require('./lib/qrCodes');
+const { renderPrintSheet } = require('./lib/printSheet');
+const { normalizeSite, loadSeedSites } = require('./lib/sites');
+const auth = require('./lib/auth');
 
 const app = express();
+// req.ip / req.protocol are the socket's unless TRUST_PROXY says a proxy sets X-Forwarded-*:
+// a hop count (1 on Render / Railway), true, or a subnet list. Trusting a header the
+// client can write itself would let it pick its own IP for rate limits.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+app.set('trust proxy', !TRUST_PROXY || TRUST_PROXY === 'false' ? false
+  : /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY)
+  : TRUST_PROXY === 'true' ? true : TRUST_PROXY);
+
+// Rate-limit key for a client: IPv6 hosts get a whole /64, so they can't rotate addresses
+function clientAddress(req) {
+  const ip = String(req.ip || '').replace(/^::ffff:/, '');
+  if (!ip.includes(':')) return ip;
+  const [head, tail = ''] = ip.split('::');
+  const groups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  while (groups.length + tailGroups.length < 8 && groups.length < 4) groups.push('0');
+  return [...groups, ...tailGroups].slice(0, 4).join(':') + '::/64';
+}
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -45,203 +76,921 @@ if (!fs.existsSync(PUBLIC_DIR)) fs.mkdirSync(PUBLIC_DIR);
 if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
 if (!fs.existsSync(OPTIMIZED_DIR)) fs.mkdirSync(OPTIMIZED_DIR, { recursive: true });
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-if (!fs.existsSync(DB_FILE)) fs.writeFileSync(DB_FILE, JSON.stringify({}), 'utf8');
 
 // ═══════════════════════════════════════════════════════════════════
-// OPTIMIZATION TRACKING: Know which models are currently being optimized
+// DB: Repository (SQLite by default, legacy db.json with DB_DRIVER=json)
+// Every write touches a single asset — concurrent uploads can't clobber each other.
+// Object storage gets a periodic whole-store snapshot instead of a re-upload per write.
 // ═══════════════════════════════════════════════════════════════════
-const optimizingModels = new Map(); // modelFile -> { startTime, assetId }
+const DB_BLOB_NAME = 'db/db.json';
+const DB_SNAPSHOT_INTERVAL = parseInt(process.env.DB_SNAPSHOT_INTERVAL_MS) || 60 * 1000;
 
-// ═══════════════════════════════════════════════════════════════════
-// OPTIMIZER SPAWN: Reusable — called on upload AND on server startup
-// Uses --max-old-space-size to prevent OOM on Railway (512MB container)
-// ═══════════════════════════════════════════════════════════════════
-function spawnOptimizer(modelFile, assetId) {
-  if (optimizingModels.has(modelFile)) {
-    console.log(`⏭️ Already optimizing ${modelFile}, skip duplicate`);
-    return;
+const repo = openRepository({
+  driver: process.env.DB_DRIVER || 'sqlite',
+  dataDir: DATA_DIR,
+  legacyFile: DB_FILE,
+  localCollections: ['deviceReports'] // analytics aren't worth a backup
+});
+const assets = repo.collection('assets');
+const deviceReports = repo.collection('deviceReports');
+const collections = repo.collection('collections');
+const sites = repo.collection('sites');
+const secrets = repo.collection('secrets');
+const uploadSessions = repo.collection('uploadSessions');
+const users = repo.collection('users');
+const authTokens = repo.collection('authTokens');
+console.log(`🗄️ DB: ${repo.driver} (${path.relative(__dirname, repo.file)})`);
+
+// One-time import of an existing data/db.json into SQLite
+const migratedCount = migrateLegacyJSON(repo, DB_FILE);
+if (migratedCount > 0) console.log(`🗄️ Migrated ${migratedCount} asset(s) from db.json`);
+
+let lastSnapshotRevision = -1;
+
+async function saveDBSnapshot() {
+  if (!objectStorage) return;
+  if (repo.revision === lastSnapshotRevision) return; // nothing changed since last backup
+  const revision = repo.revision;
+  try {
+    await objectStorage.putBuffer(DB_BLOB_NAME, Buffer.from(JSON.stringify(repo.snapshot())));
+    lastSnapshotRevision = revision;
+    console.log(`☁️ DB snapshot saved to ${objectStorage.name} (rev ${revision})`);
+  } catch (e) {
+    console.log('☁️ saveDBSnapshot error:', e.message);
   }
-  const modelFullPath = path.join(UPLOADS_DIR, modelFile);
-  if (!fs.existsSync(modelFullPath)) {
-    console.log(`⚠️ spawnOptimizer: file not found: ${modelFile}`);
-    return;
+}
+
+async function loadDBSnapshot() {
+  if (!objectStorage) return;
+  try {
+    const content = await objectStorage.getBuffer(DB_BLOB_NAME);
+    if (!content) { console.log(`☁️ No db snapshot on ${objectStorage.name} yet, starting fresh`); return; }
+    const remote = JSON.parse(content.toString('utf8'));
+    // Per-document merge: newer updatedAt wins, local-only records are kept
+    const imported = repo.importSnapshot(remote);
+    // Whatever we hold now already contains the remote copy
+    lastSnapshotRevision = imported > 0 ? -1 : repo.revision;
+    console.log(`☁️ DB snapshot loaded from ${objectStorage.name} (${imported} record(s) restored, ${assets.list().length} assets)`);
+  } catch (e) {
+    console.log('☁️ loadDBSnapshot error:', e.message);
   }
-  const modelSizeMB = (fs.statSync(modelFullPath).size / (1024 * 1024)).toFixed(1);
-  console.log(`🔧 Optimizing ${modelFile} (${modelSizeMB}MB) for asset ${assetId}...`);
-  optimizingModels.set(modelFile, { startTime: Date.now(), assetId });
-  const { spawn } = require('child_process');
-  // Scale RAM limit to file size: at least 1536MB, cap at 3072MB
-  const heapMB = Math.min(3072, Math.max(1536, Math.ceil(modelSizeMB * 8)));
-  const child = spawn('node', [`--max-old-space-size=${heapMB}`, 'optimize_models.mjs', modelFullPath], {
-    cwd: __dirname,
-    stdio: 'inherit',
-    detached: false
-  });
+}
 
-  // Hard kill after 5 minutes to prevent Azure stuck processes
-  const KILL_TIMEOUT = 5 * 60 * 1000;
-  const killTimer = setTimeout(() => {
-    console.log(`⏰ Optimizer killed after 5min timeout: ${modelFile}`);
-    try { child.kill('SIGKILL'); } catch(_) {}
-    optimizingModels.delete(modelFile);
-  }, KILL_TIMEOUT);
-
-  child.on('close', (code) => {
-    clearTimeout(killTimer);
-    optimizingModels.delete(modelFile);
-    if (code === 0) {
-      console.log(`✅ Optimization done: ${modelFile}`);
-      uploadVariantsToAzure(modelFile, assetId)
-        .catch(e => console.log('☁️ Post-optimize Azure upload error:', e.message));
-    } else {
-      console.log(`⚠️ Optimization failed (code ${code}): ${modelFile} — original will be served`);
-    }
-  });
-  child.on('error', (err) => {
-    clearTimeout(killTimer);
-    optimizingModels.delete(modelFile);
-    console.log(`❌ Optimizer spawn error: ${err.message}`);
-  });
-  child.unref();
+function startDBSnapshots() {
+  const timer = setInterval(() => {
+    saveDBSnapshot().catch(e => console.log('☁️ DB snapshot failed:', e.message));
+  }, DB_SNAPSHOT_INTERVAL);
+  timer.unref();
 }
 
 // ═══════════════════════════════════════════════════════════════════
-// DB: In-memory cache + local file + Azure Blob for persistence
-// Azure Blob = source of truth (survives redeploys)
-// ═══════════════════════════════════════════════════════════════
-const DB_BLOB_NAME = 'db/db.json';
-let dbCache = null;
+// OPTIMIZATION QUEUE: Durable jobs in the same repository as the assets
+// Bounded concurrency (OPTIMIZER_CONCURRENCY, default 1 — 512MB containers),
+// retries with backoff, per-stage progress sent by the optimizer over IPC.
+// Jobs are keyed by asset id; unfinished ones resume after a restart.
+// ═══════════════════════════════════════════════════════════════════
+const OPTIMIZER_STAGES = ['convert', 'textures', 'thumbnail', 'weld', 'simplify', 'mobile', 'preview', 'lods'];
 
-function getDB() {
-  if (!dbCache) {
-    try { dbCache = JSON.parse(fs.readFileSync(DB_FILE, 'utf8')); }
-    catch (e) { dbCache = {}; }
-  }
-  return dbCache;
+// One job = (FBX only) convert to GLB, then optimize the GLB
+async function runOptimizationJob(job, ctx) {
+  if (job.sourceFile) await convertSourceModel(job, ctx);
+  else ctx.progress('convert', 1); // nothing to convert
+  await runOptimizer(job, ctx);
 }
 
-function saveDB(db) {
-  dbCache = db;
-  fs.writeFileSync(DB_FILE, JSON.stringify(db, null, 2));
-  // Async persist to Azure Blob (don't block request)
-  saveDBToAzure(db).catch(e => console.log('☁️ DB save to Azure failed:', e.message));
-}
+// FBX uploads: convert to <name>.glb next to the FBX, then point the asset at the GLB
+// so it gets the same variants, storage backup and animation list as a GLB upload.
+// The FBX is kept (asset.sourceModel) in case the conversion has to be redone.
+async function convertSourceModel(job, ctx) {
+  const glbPath = path.join(UPLOADS_DIR, job.modelFile);
+  if (!fs.existsSync(glbPath)) {
+    const sourcePath = path.join(UPLOADS_DIR, job.sourceFile);
+    if (!fs.existsSync(sourcePath)) throw new Error(`Source file not found: ${job.sourceFile}`);
+    ctx.progress('convert', 0);
+    console.log(`🔄 Converting ${job.sourceFile} → ${job.modelFile}`);
+    const conversion = convertFBXToGLB(sourcePath, glbPath);
+    ctx.onCancel(conversion.cancel);
+    await conversion.done;
+    ctx.onCancel(() => {}); // FBX2glTF has exited — nothing left for that hook to stop
+  }
 
-async function saveDBToAzure(db) {
-  if (!containerClient) return;
+  let animations = [];
   try {
-    const blob = containerClient.getBlockBlobClient(DB_BLOB_NAME);
-    const content = JSON.stringify(db, null, 2);
-    await blob.upload(content, Buffer.byteLength(content), {
-      blobHTTPHeaders: { blobContentType: 'application/json' },
-      overwrite: true
-    });
+    animations = deduplicateAnimations(extractGLBAnimations(glbPath));
   } catch (e) {
-    console.log('☁️ saveDBToAzure error:', e.message);
+    console.log('Animation detection skipped:', e.message);
   }
+  const validation = await validateModel(glbPath);
+  logValidation(job.modelFile, validation);
+  const updated = assets.update(job.assetId, a => {
+    a.sourceModel = `/uploads/${job.sourceFile}`;
+    a.model = `/uploads/${job.modelFile}`;
+    a.rawModelSize = fs.statSync(glbPath).size;
+    a.animations = animations;
+    a.convertedAt = Date.now();
+    a.validation = validation;
+    // Clip effects were stored unresolved at upload — match them against the real clips now
+    if (a.effects && a.effects.length > 0) {
+      const { effects, errors } = normalizeEffects(a.effects, { animations });
+      if (errors.length > 0) console.log(`✨ Effects dropped after conversion: ${errors.join('; ')}`);
+      a.effects = effects;
+    }
+  });
+  if (!updated) throw new Error('Asset was deleted during conversion');
+  ctx.progress('convert', 1);
+  console.log(`✅ Converted ${job.sourceFile} → ${job.modelFile} (${animations.length} animation clip(s))`);
+
+  // Back up the converted GLB like any uploaded original
+  uploadToBlob(glbPath, `originals/${job.modelFile}`)
+    .then(key => { if (key) assets.update(job.assetId, a => { a.blobOriginalUrl = key; }); })
+    .catch(() => {});
+}
+
+// Fork optimize_models.mjs for one job. Uses --max-old-space-size to prevent OOM.
+function runOptimizer(job, ctx) {
+  return new Promise((resolve, reject) => {
+    const modelFullPath = path.join(UPLOADS_DIR, job.modelFile);
+    if (!fs.existsSync(modelFullPath)) {
+      return reject(new Error(`Original file not found: ${job.modelFile}`));
+    }
+    const modelSizeMB = (fs.statSync(modelFullPath).size / (1024 * 1024)).toFixed(1);
+    console.log(`🔧 Optimizing ${job.modelFile} (${modelSizeMB}MB) for asset ${job.assetId} — attempt ${job.attempts}/${job.maxAttempts}`);
+    const { fork } = require('child_process');
+    // Thresholds from the asset's profile. --force: the queue only runs a job when the
+    // variants are missing or the profile changed, so never trust existing outputs.
+    const asset = assets.get(job.assetId);
+    const profile = resolveProfile(asset && asset.optimizationProfile);
+    // Scale RAM limit to file size: at least 1536MB, cap at 3072MB
+    const heapMB = Math.min(3072, Math.max(1536, Math.ceil(modelSizeMB * 8)));
+    const child = fork(path.join(__dirname, 'optimize_models.mjs'), [modelFullPath, `--profile=${profile.name}`, '--force'], {
+      cwd: __dirname,
+      execArgv: [`--max-old-space-size=${heapMB}`],
+      stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+    });
+    ctx.onCancel(() => child.kill('SIGKILL'));
+
+    let failure = null;
+    // Read-back check of every variant the optimizer wrote: { [variant]: { ok, problems, fallback? } }
+    const variantChecks = {};
+    child.on('message', (msg) => {
+      if (!msg) return;
+      if (msg.type === 'progress') ctx.progress(msg.stage, msg.progress);
+      else if (msg.type === 'error') failure = msg.message;
+      else if (msg.type === 'verify') {
+        variantChecks[msg.variant] = { ok: !!msg.ok, problems: msg.problems || [], ...(msg.fallback ? { fallback: msg.fallback } : {}) };
+      }
+    });
+    child.on('error', (err) => reject(new Error(`Optimizer spawn error: ${err.message}`)));
+    child.on('exit', (code, signal) => {
+      if (code === 0) {
+        console.log(`✅ Optimization done: ${job.modelFile} (profile ${profile.name})`);
+        const lods = readLODManifest(job.modelFile);
+        assets.update(job.assetId, a => {
+          a.optimizedProfile = profile.name;
+          a.variantChecks = variantChecks;
+          if (lods) a.lods = lods;
+          else delete a.lods;
+        });
+        resolve();
+      } else {
+        if (Object.keys(variantChecks).length > 0) assets.update(job.assetId, a => { a.variantChecks = variantChecks; });
+        reject(new Error(failure || (signal ? `Optimizer killed (${signal})` : `Optimizer exited with code ${code}`)));
+      }
+    });
+  });
 }
 
-async function loadDBFromAzure() {
-  if (!containerClient) return;
+const optimizeQueue = createJobQueue({
+  store: repo.collection('jobs'),
+  worker: runOptimizationJob,
+  stages: OPTIMIZER_STAGES,
+  concurrency: parseInt(process.env.OPTIMIZER_CONCURRENCY) || 1,
+  maxAttempts: parseInt(process.env.OPTIMIZER_MAX_ATTEMPTS) || 3,
+  retryBaseMs: parseInt(process.env.OPTIMIZER_RETRY_BASE_MS) || 30 * 1000,
+  // Hard kill after 5 minutes to prevent Azure stuck processes
+  timeoutMs: parseInt(process.env.OPTIMIZER_TIMEOUT_MS) || 5 * 60 * 1000,
+  onSettled: (job) => {
+    if (job.status === 'done') {
+      const asset = assets.update(job.assetId, a => { delete a.optimizeError; a.optimizedAt = job.finishedAt; });
+      uploadVariantsToStorage(job.modelFile, job.assetId)
+        .catch(e => console.log('☁️ Post-optimize storage upload error:', e.message));
+      // Profile changed while this job was running — build the variants again
+      if (asset && resolveProfile(asset.optimizationProfile).name !== asset.optimizedProfile) {
+        console.log(`⚙️ Profile of ${job.assetId} changed to ${asset.optimizationProfile} — re-optimizing`);
+        enqueueOptimization(job.assetId, job.modelFile, { force: true });
+      }
+    } else {
+      // Recorded on the asset so the viewer/API can explain why the original is served
+      assets.update(job.assetId, a => { a.optimizeError = job.error; });
+      console.log(`⚠️ Optimization failed: ${job.modelFile} — original will be served`);
+    }
+  }
+});
+
+// <name>.lods.json written by the optimizer: [{ level, file, vertices, size, maxTextureSize }]
+// Level 0 is the desktop file itself; null when the profile has no LODs
+function readLODManifest(modelFile) {
+  const ext = path.extname(modelFile);
+  const manifestPath = path.join(OPTIMIZED_DIR, `${modelFile.slice(0, -ext.length)}.lods.json`);
   try {
-    const blob = containerClient.getBlockBlobClient(DB_BLOB_NAME);
-    const exists = await blob.exists();
-    if (!exists) { console.log('☁️ No db.json on Azure yet, starting fresh'); return; }
-    const download = await blob.download();
-    const chunks = [];
-    for await (const chunk of download.readableStreamBody) chunks.push(chunk);
-    const content = Buffer.concat(chunks).toString('utf8');
-    const remoteDB = JSON.parse(content);
-    // Merge: Azure has priority, local adds anything new
-    const localDB = (() => { try { return JSON.parse(fs.readFileSync(DB_FILE, 'utf8')); } catch { return {}; } })();
-    const merged = { ...localDB, ...remoteDB };
-    dbCache = merged;
-    fs.writeFileSync(DB_FILE, JSON.stringify(merged, null, 2));
-    console.log(`☁️ DB loaded from Azure (${Object.keys(merged).length} assets)`);
+    const chain = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    return Array.isArray(chain) && chain.length > 1 ? chain : null;
   } catch (e) {
-    console.log('☁️ loadDBFromAzure error:', e.message);
+    return null;
+  }
+}
+
+// FBX jobs carry the FBX as sourceFile and the GLB it converts to as modelFile
+function enqueueOptimization(assetId, modelFile, options) {
+  if (/\.fbx$/i.test(modelFile)) {
+    const glbFile = modelFile.replace(/\.fbx$/i, '.glb');
+    return optimizeQueue.enqueue(assetId, { assetId, modelFile: glbFile, sourceFile: modelFile }, options);
   }
+  return optimizeQueue.enqueue(assetId, { assetId, modelFile }, options);
+}
+
+// Summary of a job for API responses
+function optimizeJobInfo(job) {
+  if (!job) return null;
+  return {
+    status: job.status,
+    stage: job.stage,
+    stages: job.stages,
+    progress: Math.round(job.progress * 100) / 100,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    error: job.error,
+    nextRetryAt: job.status === 'queued' && job.runAfter > Date.now() ? job.runAfter : null,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════════
-// AZURE BLOB STORAGE - Persistent model storage (survives server restarts)
-// Connection string from AZURE_STORAGE_CONNECTION_STRING env var
+// OBJECT STORAGE - Persistent model storage (survives server restarts)
+// Driver from STORAGE_DRIVER (azure / s3 / local / none) — see lib/storage
 // ═══════════════════════════════════════════════════════════════════
-let containerClient = null;
+let objectStorage = null;
 try {
-  const connStr = process.env.AZURE_STORAGE_CONNECTION_STRING;
-  const containerName = process.env.AZURE_STORAGE_CONTAINER || 'models';
-  if (connStr) {
-    containerClient = BlobServiceClient
-      .fromConnectionString(connStr)
-      .getContainerClient(containerName);
-    console.log(`☁️ Azure Blob Storage connected (container: ${containerName})`);
+  objectStorage = openStorage({ driver: process.env.STORAGE_DRIVER, dataDir: DATA_DIR });
+  if (objectStorage) {
+    console.log(`☁️ Object storage: ${objectStorage.label}`);
   } else {
-    console.log('⚠️ AZURE_STORAGE_CONNECTION_STRING not set — running without Azure Blob Storage');
+    console.log('⚠️ STORAGE_DRIVER not set — running without object storage backups');
   }
 } catch (e) {
-  console.log('⚠️ Azure init error:', e.message);
+  console.log('⚠️ Object storage init error:', e.message);
 }
 
-// Upload a local file to Azure Blob, return a 2-year SAS URL (or null on error)
+// Upload a local file to object storage, return its key (or null on error).
+// The blob* fields store that key — links are signed per request (MODEL URLS).
 async function uploadToBlob(localPath, blobName) {
-  if (!containerClient || !fs.existsSync(localPath)) return null;
+  if (!objectStorage || !fs.existsSync(localPath)) return null;
   try {
-    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
-    const ext = path.extname(blobName).toLowerCase();
-    const contentType = ext === '.glb' ? 'model/gltf-binary'
-      : ext === '.gltf' ? 'model/gltf+json'
-      : ext === '.png'  ? 'image/png'
-      : ext === '.jpg' || ext === '.jpeg' ? 'image/jpeg'
-      : 'application/octet-stream';
-    await blockBlobClient.uploadFile(localPath, {
-      blobHTTPHeaders: { blobContentType: contentType }
-    });
-    // Generate SAS URL valid for 2 years (no need for public container)
-    const expiresOn = new Date();
-    expiresOn.setFullYear(expiresOn.getFullYear() + 2);
-    const sasUrl = await blockBlobClient.generateSasUrl({
-      permissions: BlobSASPermissions.parse('r'),
-      expiresOn,
-    });
+    await objectStorage.putFile(blobName, localPath);
     const sizeMB = (fs.statSync(localPath).size / 1024 / 1024).toFixed(1);
-    console.log(`☁️ Azure ↑ ${blobName} (${sizeMB}MB)`);
-    return sasUrl;
+    console.log(`☁️ ${objectStorage.name} ↑ ${blobName} (${sizeMB}MB)`);
+    return blobName;
   } catch (e) {
-    console.log(`☁️ Azure upload failed [${blobName}]: ${e.message}`);
+    console.log(`☁️ ${objectStorage.name} upload failed [${blobName}]: ${e.message}`);
     return null;
   }
 }
 
-// Upload all optimized variants to Azure and save URLs in db
-async function uploadVariantsToAzure(modelFile, assetId) {
-  if (!containerClient) return;
+// Upload all optimized variants to object storage and save URLs in db
+async function uploadVariantsToStorage(modelFile, assetId) {
+  if (!objectStorage) return;
   const ext = path.extname(modelFile);
   const base = modelFile.slice(0, -ext.length);
+  // optional: not every profile / model produces it — a missing file clears the old blob URL
   const variants = [
     { local: path.join(OPTIMIZED_DIR, modelFile),                  blob: `optimized/${modelFile}`,                  key: 'blobUrl' },
     { local: path.join(OPTIMIZED_DIR, `${base}.mobile${ext}`),     blob: `optimized/${base}.mobile${ext}`,          key: 'blobMobileUrl' },
+    { local: path.join(OPTIMIZED_DIR, `${base}.mobile.ktx2${ext}`), blob: `optimized/${base}.mobile.ktx2${ext}`,    key: 'blobMobileKtx2Url', optional: true },
     { local: path.join(OPTIMIZED_DIR, `${base}.preview${ext}`),    blob: `optimized/${base}.preview${ext}`,         key: 'blobPreviewUrl' },
+    { local: path.join(OPTIMIZED_DIR, `${base}.thumb.webp`),       blob: `optimized/${base}.thumb.webp`,            key: 'blobThumbnailUrl', optional: true },
+    { local: path.join(OPTIMIZED_DIR, `${base}.turntable.webp`),   blob: `optimized/${base}.turntable.webp`,        key: 'blobTurntableUrl', optional: true },
   ];
-  const db = getDB();
-  const asset = db[assetId];
-  if (!asset) return;
-  let changed = false;
+  if (!assets.has(assetId)) return;
+  const patch = {};
   for (const v of variants) {
-    if (fs.existsSync(v.local)) {
-      const url = await uploadToBlob(v.local, v.blob);
-      if (url) {
-        asset[v.key] = url;
+    if (!fs.existsSync(v.local)) {
+      if (v.optional) patch[v.key] = null;
+    } else {
+      const key = await uploadToBlob(v.local, v.blob);
+      if (key) {
+        patch[v.key] = key;
         if (v.key === 'blobUrl') {
-          asset.blobOptimizedSize = fs.statSync(v.local).size; // store size for API fallback
+          patch.blobOptimizedSize = fs.statSync(v.local).size; // store size for API fallback
         }
-        changed = true;
       }
     }
   }
-  if (changed) {
-    saveDB(db);
-    console.log(`☁️ Azure URLs saved to db for asset ${assetId}`);
+  // LOD levels 1…N (level 0 is blobUrl) — replaced as a whole, the chain changes with the profile
+  const lods = readLODManifest(modelFile);
+  patch.blobLodUrls = null;
+  if (lods) {
+    const keys = {};
+    for (const lod of lods.slice(1)) {
+      const key = await uploadToBlob(path.join(OPTIMIZED_DIR, lod.file), `optimized/${lod.file}`);
+      if (key) keys[lod.file] = key;
+    }
+    patch.blobLodUrls = keys;
+  }
+  // Apply all URLs in one atomic update (the asset may have been edited meanwhile)
+  if (Object.keys(patch).length > 0 && assets.update(assetId, a => Object.assign(a, patch))) {
+    console.log(`☁️ ${objectStorage.name} keys saved to db for asset ${assetId}`);
+  }
+}
+
+// Delete a stored object — returns true if something was removed
+async function deleteBlob(blobName) {
+  if (!objectStorage) return false;
+  try {
+    const removed = await objectStorage.remove(blobName);
+    if (removed) console.log(`☁️ ${objectStorage.name} ✗ ${blobName}`);
+    return removed;
+  } catch (e) {
+    console.log(`☁️ ${objectStorage.name} delete failed [${blobName}]: ${e.message}`);
+    return false;
+  }
+}
+
+// Records from before signed links kept two-year SAS URLs — reduce them to keys.
+// Runs after the snapshot restore, which may bring such records back.
+function normalizeStoredKeys() {
+  let changed = 0;
+  for (const asset of assets.list()) {
+    const patch = storedKeysPatch(asset);
+    if (patch && assets.update(asset.id, a => Object.assign(a, patch))) changed++;
+  }
+  if (changed > 0) console.log(`☁️ Replaced stored URLs with storage keys on ${changed} asset(s)`);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// ASSET FILES: Resolve every file an asset owns (local + storage keys)
+// ═══════════════════════════════════════════════════════════════════
+
+// asset.model may hold a local path or a full blob URL (with SAS query) —
+// strip both down to the plain upload filename
+function assetModelFile(asset) {
+  let rawModel = (asset && asset.model) || '';
+  if (rawModel.startsWith('http')) rawModel = rawModel.split('?')[0];
+  return rawModel ? path.basename(rawModel) : null;
+}
+
+// lods: asset.lods — the level files depend on the profile the variants were built with
+function modelVariantFiles(modelFile, lods) {
+  const ext = path.extname(modelFile);
+  const base = modelFile.slice(0, -ext.length);
+  const lodFiles = (lods || []).slice(1).map(l => l.file);
+  return [modelFile, `${base}.mobile${ext}`, `${base}.mobile.ktx2${ext}`, `${base}.preview${ext}`, `${base}.lods.json`, ...lodFiles,
+    `${base}.thumb.webp`, `${base}.turntable.webp`];
+}
+
+// Poster + turntable rendered by the optimizer — on disk or in object storage, behind a signed link
+function assetThumbnails(asset) {
+  const modelFile = assetModelFile(asset);
+  if (!modelFile) return { thumbnail: null, turntable: null };
+  const base = modelFile.slice(0, -path.extname(modelFile).length);
+  const keys = storedKeys(asset);
+  const url = (file) => fs.existsSync(path.join(OPTIMIZED_DIR, file)) || keys.has(`optimized/${file}`) ? assetFileUrl(asset, file) : null;
+  return {
+    thumbnail: url(`${base}.thumb.webp`),
+    turntable: url(`${base}.turntable.webp`)
+  };
+}
+
+function assetFiles(asset) {
+  const modelFile = assetModelFile(asset);
+  const uploads = [asset.audio, asset.groundImage, asset.envImage, ...(asset.props || [])]
+    .filter(Boolean)
+    .map(p => path.basename(p));
+  const local = uploads.map(f => path.join(UPLOADS_DIR, f));
+  const blobs = [];
+  // Converted FBX uploads keep the source file next to the GLB
+  if (asset.sourceModel) {
+    const sourceFile = path.basename(asset.sourceModel);
+    local.push(path.join(UPLOADS_DIR, sourceFile));
+    blobs.push(`originals/${sourceFile}`);
+  }
+  if (modelFile) {
+    local.push(path.join(UPLOADS_DIR, modelFile));
+    blobs.push(`originals/${modelFile}`);
+    for (const f of modelVariantFiles(modelFile, asset.lods)) {
+      local.push(path.join(OPTIMIZED_DIR, f));
+      blobs.push(`optimized/${f}`);
+    }
+  }
+  return { modelFile, local, blobs };
+}
+
+// Multipart checkboxes / JSON booleans → boolean
+function formFlag(value) {
+  if (Array.isArray(value)) value = value[value.length - 1];
+  return value === true || value === 'true' || value === '1' || value === 'on';
+}
+
+function removeLocalFile(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return false;
+    fs.unlinkSync(filePath);
+    return true;
+  } catch (e) {
+    console.log(`⚠️ Could not delete ${filePath}: ${e.message}`);
+    return false;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// MODEL URLS: Short-lived signed links to an asset's files
+// The API hands out /uploads/…?asset=&exp=&sig= — never storage URLs — and every
+// file an asset owns (model, variants, posters, props, audio, images) is only
+// served with a valid signature:
+//   sig = HMAC-SHA256 over assetId|accessVersion|filename|exp (exp in unix seconds)
+// exp snaps to the MODEL_URL_TTL_SECONDS grid, so a link stays the same for a while
+// (browser caches keep working) and is valid for one to two TTLs. The viewer asks
+// /api/asset/:id again before its links run out.
+// Files only in object storage are streamed (local driver) or redirected to a
+// storage link valid for STORAGE_LINK_TTL_SECONDS.
+// Revoking an asset bumps accessVersion, which kills every link handed out so far.
+// Key: MODEL_URL_SECRET, or one generated on first use and kept in the 'secrets' collection.
+// ═══════════════════════════════════════════════════════════════════
+const MODEL_URL_TTL_SECONDS = parseInt(process.env.MODEL_URL_TTL_SECONDS) || 15 * 60;
+const STORAGE_LINK_TTL_SECONDS = 5 * 60;
+const ASSET_ID_LENGTH = 8; // nanoid(8) — every file of an asset starts with its id
+
+let modelUrlKeyWarned = false;
+function modelUrlSigningKey() {
+  if (process.env.MODEL_URL_SECRET) return process.env.MODEL_URL_SECRET;
+  let stored = secrets.get('model-url-signing-key');
+  if (!stored) {
+    stored = secrets.put({ id: 'model-url-signing-key', key: crypto.randomBytes(32).toString('hex'), createdAt: Date.now() });
+  }
+  if (!modelUrlKeyWarned) {
+    console.log('🔏 MODEL_URL_SECRET not set — signing model links with a generated key stored in the database');
+    modelUrlKeyWarned = true;
+  }
+  return stored.key;
+}
+
+function modelUrlSignature(asset, file, exp) {
+  return crypto.createHmac('sha256', modelUrlSigningKey())
+    .update([asset.id, asset.accessVersion || 0, file, exp].join('|'))
+    .digest('hex');
+}
+
+// Unix seconds when links issued now expire — the end of the next TTL window
+function modelLinkExpiry() {
+  return (Math.floor(Date.now() / 1000 / MODEL_URL_TTL_SECONDS) + 2) * MODEL_URL_TTL_SECONDS;
+}
+
+// dir: 'optimized' for variants, '' for originals and the other uploads
+function assetFileUrl(asset, file, dir = 'optimized') {
+  const exp = modelLinkExpiry();
+  const query = new URLSearchParams({ asset: asset.id, exp: String(exp), sig: modelUrlSignature(asset, file, exp) });
+  return `/uploads/${dir ? `${dir}/` : ''}${encodeURIComponent(file)}?${query}`;
+}
+
+// Signed link for a stored key ("originals/…" / "optimized/…"), null without one
+function linkForKey(asset, stored) {
+  const key = keyFromUrl(stored);
+  if (!key) return null;
+  return assetFileUrl(asset, path.basename(key), key.startsWith('optimized/') ? 'optimized' : '');
+}
+
+// The asset a requested upload belongs to (?asset= first, then the filename's id prefix),
+// or null for files no asset owns
+function assetForFile(filename, hintId) {
+  for (const id of [hintId, filename.slice(0, ASSET_ID_LENGTH)]) {
+    const asset = typeof id === 'string' && id ? assets.get(id) : null;
+    if (asset && assetFiles(asset).local.some(f => path.basename(f) === filename)) return asset;
+  }
+  return null;
+}
+
+// Mounted on /uploads ahead of serveModelFile and the static handler
+function assetFileGuard(req, res, next) {
+  let filename;
+  try {
+    filename = path.basename(decodeURIComponent(req.path));
+  } catch (e) {
+    return res.status(400).json({ error: 'Invalid path' });
+  }
+  const asset = assetForFile(filename, req.query.asset);
+  if (!asset) return next();
+
+  const exp = parseInt(req.query.exp);
+  const sig = typeof req.query.sig === 'string' ? req.query.sig : '';
+  if (!exp || !/^[0-9a-f]{64}$/.test(sig)) {
+    return res.status(403).json({ error: 'This file needs a signed link — get one from /api/asset/:id' });
+  }
+  if (exp * 1000 < Date.now()) return res.status(403).json({ error: 'Link expired', expired: true });
+  const expected = Buffer.from(modelUrlSignature(asset, filename, exp), 'hex');
+  if (!crypto.timingSafeEqual(Buffer.from(sig, 'hex'), expected)) {
+    return res.status(403).json({ error: 'Invalid or revoked link' });
+  }
+  req.asset = asset;
+  req.linkExpiresAt = exp;
+  next();
+}
+
+// Signed responses may only be reused while the link itself is valid
+function signedCacheControl(req) {
+  return `private, max-age=${Math.max(0, req.linkExpiresAt - Math.floor(Date.now() / 1000))}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// EDIT TOKENS: Secret returned once on upload, only its hash is stored
+// ═══════════════════════════════════════════════════════════════════
+function hashEditToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Account tokens (wa_…) travel in the same Authorization header — they are never edit tokens
+function readEditToken(req) {
+  const header = req.get('x-edit-token');
+  if (header) return header.trim();
+  const m = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return m && !auth.isAuthToken(m[1].trim()) ? m[1].trim() : null;
+}
+
+// Middleware factory: :id must exist in store and the request must carry its edit token —
+// or come from the document's owner (creator) or an admin
+function editTokenGuard(store) {
+  return (req, res, next) => {
+    const doc = store.get(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Not found' });
+    if (isOwnerOrAdmin(req.user, doc)) return next();
+    const token = readEditToken(req);
+    if (!token) return res.status(401).json({ error: 'Edit token required (X-Edit-Token header) — or sign in as the owner' });
+    if (!doc.editTokenHash) return res.status(403).json({ error: 'This asset was uploaded before edit tokens existed and cannot be edited' });
+    const given = Buffer.from(hashEditToken(token), 'hex');
+    const expected = Buffer.from(doc.editTokenHash, 'hex');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(403).json({ error: 'Invalid edit token' });
+    }
+    next();
+  };
+}
+
+const requireEditToken = editTokenGuard(assets);
+
+// ═══════════════════════════════════════════════════════════════════
+// AUTH: Accounts + roles (lib/auth.js) — viewer < creator < admin
+// Every request is resolved to req.user (or null) from, in order:
+//   Authorization: Bearer wa_…  (API token or session)
+//   the webar_session cookie     (set by POST /api/auth/login)
+//   ADMIN_TOKEN                  (Bearer / X-Admin-Token — bootstrap admin, no account)
+// Uploads need creator; user management, sites / quiz and analytics need admin.
+// Published assets stay public; unpublished ones are visible to signed-in users.
+// ═══════════════════════════════════════════════════════════════════
+const SESSION_COOKIE = 'webar_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const TOKEN_TOUCH_MS = 60 * 1000;           // lastUsedAt is written at most once a minute
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_MS = 60 * 1000;
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000; // failures older than this are forgotten
+const loginFailures = new Map();           // 'ip:<clientAddress>' | 'user:<id>' → { count, at, until }
+
+function readCookie(req, name) {
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq > 0 && part.slice(0, eq).trim() === name) return decodeURIComponent(part.slice(eq + 1).trim());
+  }
+  return null;
+}
+
+function adminTokenMatches(token) {
+  if (!process.env.ADMIN_TOKEN || !token) return false;
+  const given = Buffer.from(hashEditToken(token), 'hex');
+  const expected = Buffer.from(hashEditToken(process.env.ADMIN_TOKEN), 'hex');
+  return crypto.timingSafeEqual(given, expected);
+}
+
+function resolveUser(req) {
+  const m = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  const bearer = m ? m[1].trim() : null;
+  if (adminTokenMatches(bearer || req.get('x-admin-token'))) {
+    return { id: 'admin-token', username: 'ADMIN_TOKEN', role: 'admin' };
+  }
+
+  const token = auth.isAuthToken(bearer) ? bearer : readCookie(req, SESSION_COOKIE);
+  if (!auth.isAuthToken(token)) return null;
+  const record = authTokens.get(auth.hashToken(token));
+  if (!record || (record.expiresAt && record.expiresAt < Date.now())) return null;
+  const user = users.get(record.userId);
+  if (!user || user.disabled) return null;
+  if (!record.lastUsedAt || Date.now() - record.lastUsedAt > TOKEN_TOUCH_MS) {
+    authTokens.update(record.id, t => { t.lastUsedAt = Date.now(); });
+  }
+  return { id: user.id, username: user.username, role: user.role, tokenId: record.tokenId, tokenKind: record.kind };
+}
+
+app.use((req, res, next) => {
+  req.user = resolveUser(req);
+  next();
+});
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Sign in required' });
+    if (!auth.hasRole(req.user, role)) return res.status(403).json({ error: `Requires the ${role} role` });
+    next();
+  };
+}
+
+const requireAdmin = requireRole('admin');
+
+function isOwnerOrAdmin(user, doc) {
+  if (auth.hasRole(user, 'admin')) return true;
+  return auth.hasRole(user, 'creator') && !!doc.ownerId && doc.ownerId === user.id;
+}
+
+// Assets without the flag predate publishing and stay public; a revoked asset is owner / admin only
+function canSeeAsset(req, asset) {
+  if (!asset) return false;
+  if (asset.accessRevoked) return isOwnerOrAdmin(req.user, asset);
+  return asset.published !== false || !!req.user;
+}
+
+function issueAuthToken(user, { kind, name, ttlMs }) {
+  const token = auth.generateToken();
+  const now = Date.now();
+  const record = authTokens.put({
+    id: auth.hashToken(token),
+    tokenId: nanoid(10),
+    userId: user.id,
+    kind,
+    name,
+    createdAt: now,
+    expiresAt: ttlMs ? now + ttlMs : null,
+    lastUsedAt: null
+  });
+  return { token, record };
+}
+
+function publicAuthToken(record) {
+  const { id, userId, tokenId, ...rest } = record;
+  return { id: tokenId, ...rest };
+}
+
+function revokeUserTokens(userId, { kind, except } = {}) {
+  let revoked = 0;
+  for (const t of authTokens.list()) {
+    if (t.userId !== userId || (kind && t.kind !== kind) || t.tokenId === except) continue;
+    if (authTokens.remove(t.id)) revoked++;
+  }
+  return revoked;
+}
+
+function findUserByName(username) {
+  return users.list().find(u => u.username === username) || null;
+}
+
+function sessionCookie(req, value, maxAgeMs) {
+  return [
+    `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+    ...(req.secure ? ['Secure'] : [])
+  ].join('; ');
+}
+
+// Failures count per client address and per account, so neither rotating
+// addresses nor rotating usernames gets more than LOGIN_MAX_FAILURES tries a minute
+function loginLockedUntil(keys, now) {
+  return Math.max(0, ...keys.map(key => {
+    const failures = loginFailures.get(key);
+    return failures && failures.until > now ? failures.until : 0;
+  }));
+}
+
+function recordLoginFailure(keys, now) {
+  for (const [key, f] of loginFailures) {
+    if (f.until ? f.until <= now : now - f.at > LOGIN_FAILURE_WINDOW_MS) loginFailures.delete(key);
+  }
+  for (const key of keys) {
+    // An expired lock (swept above) starts a fresh count
+    const count = (loginFailures.has(key) ? loginFailures.get(key).count : 0) + 1;
+    loginFailures.set(key, { count, at: now, until: count >= LOGIN_MAX_FAILURES ? now + LOGIN_LOCK_MS : 0 });
+  }
+}
+
+app.post('/api/auth/login', (req, res) => {
+  const now = Date.now();
+  const body = req.body || {};
+  const user = findUserByName(auth.normalizeUsername(body.username));
+  // Unknown usernames only count against the address — they'd just fill the map
+  const failureKeys = [`ip:${clientAddress(req)}`, ...(user ? [`user:${user.id}`] : [])];
+
+  const lockedUntil = loginLockedUntil(failureKeys, now);
+  if (lockedUntil) {
+    const retryAfter = Math.ceil((lockedUntil - now) / 1000);
+    res.setHeader('Retry-After', retryAfter);
+    return res.status(429).json({ error: 'Too many failed sign-ins — try again later', retryAfter });
+  }
+
+  if (!user || user.disabled || !auth.verifyPassword(body.password || '', user.passwordHash)) {
+    recordLoginFailure(failureKeys, now);
+    console.log(`🔐 Failed sign-in for "${String(body.username || '').slice(0, 40)}" from ${req.ip}`);
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  failureKeys.forEach(key => loginFailures.delete(key));
+
+  // Expired sessions of this user are dropped on the way in
+  for (const t of authTokens.list()) {
+    if (t.userId === user.id && t.expiresAt && t.expiresAt < now) authTokens.remove(t.id);
+  }
+  const { token, record } = issueAuthToken(user, { kind: 'session', name: String(req.get('user-agent') || 'session').slice(0, 120), ttlMs: SESSION_TTL_MS });
+  res.setHeader('Set-Cookie', sessionCookie(req, token, SESSION_TTL_MS));
+  console.log(`🔐 ${user.username} signed in (${user.role})`);
+  res.json({ user: auth.publicUser(user), token, expiresAt: record.expiresAt });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  if (req.user && req.user.tokenKind === 'session') {
+    const record = authTokens.list().find(t => t.tokenId === req.user.tokenId);
+    if (record) authTokens.remove(record.id);
+  }
+  res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+  res.json({ signedOut: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  if (!req.user) return res.status(401).json({ error: 'Not signed in' });
+  const user = users.get(req.user.id);
+  res.json({ user: user ? auth.publicUser(user) : req.user });
+});
+
+app.post('/api/auth/password', requireRole('viewer'), (req, res) => {
+  const user = users.get(req.user.id);
+  if (!user) return res.status(400).json({ error: 'ADMIN_TOKEN has no password' });
+  const body = req.body || {};
+  if (!auth.verifyPassword(body.currentPassword || '', user.passwordHash)) return res.status(403).json({ error: 'Current password is wrong' });
+  const problem = auth.passwordProblem(body.password);
+  if (problem) return res.status(400).json({ error: problem });
+  users.update(user.id, u => { u.passwordHash = auth.hashPassword(body.password); });
+  const revoked = revokeUserTokens(user.id, { kind: 'session', except: req.user.tokenId });
+  console.log(`🔐 ${user.username} changed their password (${revoked} other session(s) signed out)`);
+  res.json({ updated: true });
+});
+
+// API tokens — for scripts and CI uploads; the token itself is only returned on creation
+app.get('/api/auth/tokens', requireRole('viewer'), (req, res) => {
+  res.json(authTokens.list()
+    .filter(t => t.userId === req.user.id && t.kind === 'api')
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(publicAuthToken));
+});
+
+app.post('/api/auth/tokens', requireRole('viewer'), (req, res) => {
+  if (!users.has(req.user.id)) return res.status(400).json({ error: 'ADMIN_TOKEN cannot create API tokens — sign in with an account' });
+  const body = req.body || {};
+  const name = String(body.name || '').trim().slice(0, 80) || 'API token';
+  const days = parseInt(body.expiresInDays);
+  const { token, record } = issueAuthToken(users.get(req.user.id), { kind: 'api', name, ttlMs: days > 0 ? days * 24 * 60 * 60 * 1000 : null });
+  console.log(`🔑 ${req.user.username} created API token "${name}"`);
+  res.status(201).json({ ...publicAuthToken(record), token });
+});
+
+app.delete('/api/auth/tokens/:id', requireRole('viewer'), (req, res) => {
+  const record = authTokens.list().find(t => t.tokenId === req.params.id && t.userId === req.user.id);
+  if (!record) return res.status(404).json({ error: 'Not found' });
+  authTokens.remove(record.id);
+  res.json({ id: req.params.id, deleted: true });
+});
+
+// User management (admin)
+app.get('/api/users', requireAdmin, (req, res) => {
+  res.json(users.list().sort((a, b) => a.createdAt - b.createdAt).map(auth.publicUser));
+});
+
+app.post('/api/users', requireAdmin, (req, res) => {
+  const body = req.body || {};
+  const username = auth.normalizeUsername(body.username);
+  if (!username) return res.status(400).json({ error: 'username must be 3–40 characters: a-z, 0-9, . _ -' });
+  if (findUserByName(username)) return res.status(409).json({ error: `User "${username}" already exists` });
+  const role = body.role || 'creator';
+  if (!auth.ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${auth.ROLES.join(', ')}` });
+  const problem = auth.passwordProblem(body.password);
+  if (problem) return res.status(400).json({ error: problem });
+
+  const saved = users.put({
+    id: nanoid(10),
+    username,
+    passwordHash: auth.hashPassword(body.password),
+    role,
+    disabled: false,
+    createdAt: Date.now()
+  });
+  console.log(`👤 User ${username} created (${role}) by ${req.user.username}`);
+  res.status(201).json(auth.publicUser(saved));
+});
+
+app.patch('/api/users/:id', requireAdmin, (req, res) => {
+  const user = users.get(req.params.id);
+  if (!user) return res.status(404).json({ error: 'Not found' });
+  const body = req.body || {};
+  const changed = [];
+  const self = user.id === req.user.id;
+
+  if (body.role !== undefined) {
+    if (!auth.ROLES.includes(body.role)) return res.status(400).json({ error: `role must be one of ${auth.ROLES.join(', ')}` });
+    if (self && body.role !== user.role) return res.status(400).json({ error: 'You cannot change your own role' });
+    user.role = body.role;
+    changed.push('role');
+  }
+  if (body.disabled !== undefined) {
+    if (self) return res.status(400).json({ error: 'You cannot disable your own account' });
+    user.disabled = formFlag(body.disabled);
+    changed.push('disabled');
+  }
+  if (body.password !== undefined) {
+    const problem = auth.passwordProblem(body.password);
+    if (problem) return res.status(400).json({ error: problem });
+    user.passwordHash = auth.hashPassword(body.password);
+    changed.push('password');
+  }
+  if (changed.length === 0) return res.status(400).json({ error: 'Nothing to update' });
+
+  const saved = users.put(user);
+  // New password or disabled account → existing sessions end
+  if (changed.includes('password') || user.disabled) revokeUserTokens(user.id, { kind: 'session' });
+  console.log(`👤 User ${user.username} updated: ${changed.join(', ')}`);
+  res.json({ ...auth.publicUser(saved), updated: changed });
+});
+
+app.delete('/api/users/:id', requireAdmin, (req, res) => {
+  const user = users.get(req.params.id);
+  if (!user) return res.status(404).json({ error: 'Not found' });
+  if (user.id === req.user.id) return res.status(400).json({ error: 'You cannot delete your own account' });
+  users.remove(user.id);
+  const revoked = revokeUserTokens(user.id);
+  console.log(`👤 User ${user.username} deleted (${revoked} token(s) revoked)`);
+  res.json({ id: user.id, deleted: true });
+});
+
+// Internal fields that must never leave the server
+function publicAsset(asset) {
+  const { editTokenHash, accessVersion, blobLodUrls, ...rest } = asset;
+  // Storage keys stay internal — files are reached through signed links only
+  for (const field of BLOB_FIELDS) delete rest[field];
+  // Older records have no layout — always hand the viewer one entry per prop
+  if (rest.props) rest.propLayout = normalizePropLayout(rest.propLayout, rest.props.length);
+  return rest;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PROP LAYOUT: Where each uploaded prop sits relative to the main model
+// position: meters from the character's feet (x right, y up, z toward viewer)
+// rotation: degrees [x, y, z] · scale: uniform multiplier on the prop's own size
+// ═══════════════════════════════════════════════════════════════════
+const PROP_RING_RADIUS = 1.2; // default: half-ring behind the character
+
+function defaultPropLayout(index, count) {
+  const t = count > 1 ? index / (count - 1) : 0.5;
+  const angle = Math.PI * (1.15 + 0.7 * t);
+  const round = n => Math.round(n * 100) / 100;
+  return {
+    position: [round(Math.cos(angle) * PROP_RING_RADIUS), 0, round(Math.sin(angle) * PROP_RING_RADIUS)],
+    rotation: [0, 0, 0],
+    scale: 1
+  };
+}
+
+function toVec3(value) {
+  if (!Array.isArray(value) || value.length !== 3) return null;
+  const v = value.map(Number);
+  return v.every(Number.isFinite) ? v : null;
+}
+
+// Fill gaps with defaults and clamp garbage — accepts anything from a form field
+function normalizePropLayout(layout, count) {
+  const list = Array.isArray(layout) ? layout : [];
+  return Array.from({ length: count }, (_, i) => {
+    const entry = list[i] && typeof list[i] === 'object' ? list[i] : {};
+    const fallback = defaultPropLayout(i, count);
+    const scale = Number(entry.scale);
+    return {
+      position: toVec3(entry.position) || fallback.position,
+      rotation: toVec3(entry.rotation) || fallback.rotation,
+      scale: Number.isFinite(scale) && scale > 0 ? Math.min(Math.max(scale, 0.01), 100) : fallback.scale
+    };
+  });
+}
+
+// JSON sent as a multipart text field (last value wins if the field repeats)
+function parseFormJSON(value) {
+  if (Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string')) value = value[value.length - 1];
+  if (typeof value !== 'string') return value;
+  if (!value.trim()) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return undefined;
   }
 }
 
@@ -263,6 +1012,12 @@ function extractGLBAnimations(filePath) {
   }
 }
 
+function logValidation(modelFile, report) {
+  const icon = report.valid ? (report.warnings.length ? '⚠️' : '✅') : '❌';
+  console.log(`${icon} Validation ${modelFile}: ${report.errors.length} error(s), ${report.warnings.length} warning(s)` +
+    (report.errors.length ? ` — ${report.errors.slice(0, 3).map(e => e.code).join(', ')}` : ''));
+}
+
 function cleanAnimDisplayName(name) {
   let n = name.replace(/ Retarget$/, '');                    // strip " Retarget"
   const pipe = n.lastIndexOf('|');
@@ -288,46 +1043,112 @@ const storage = multer.diskStorage({
   filename: function (req, file, cb) {
     const id = req._uploadId || nanoid(8);
     const ext = path.extname(file.originalname);
-    cb(null, `${id}-${file.fieldname}${ext}`);
+    // Multi-file fields (props) get an index so files don't overwrite each other
+    req._fieldCounts = req._fieldCounts || {};
+    const n = req._fieldCounts[file.fieldname] = (req._fieldCounts[file.fieldname] || 0) + 1;
+    cb(null, n > 1 ? `${id}-${file.fieldname}-${n}${ext}` : `${id}-${file.fieldname}${ext}`);
   }
 });
 
+const MAX_UPLOAD_BYTES = 500 * 1024 * 1024; // 500MB max — per file, and per resumable upload
+
 const upload = multer({
   storage,
-  limits: { fileSize: 500 * 1024 * 1024 } // 500MB max
+  preservePath: true, // folder uploads send "folder/textures/a.png" — the glTF packer needs the sub-folders
+  limits: { fileSize: MAX_UPLOAD_BYTES }
 });
 
+// ═══════════════════════════════════════════════════════════════════
+// MULTI-FILE glTF: .zip, or .gltf + .bin + textures (folder) → one GLB
+// The GLB replaces the loose files, then goes through the normal optimizer.
+// Packing runs in a forked lib/gltfPackager.js: a 500MB zip is unpacked in memory.
+// ═══════════════════════════════════════════════════════════════════
+function packUploadedModel(id, modelUpload, parts) {
+  const uploads = [modelUpload, ...parts].filter(Boolean);
+  const glbFile = `${id}-model.glb`;
+  const glbPath = path.join(UPLOADS_DIR, glbFile);
+  const zip = modelUpload && /\.zip$/i.test(modelUpload.originalname) ? modelUpload.path : null;
+  return new Promise((resolve, reject) => {
+    const { fork } = require('child_process');
+    const child = fork(path.join(__dirname, 'lib', 'gltfPackager.js'), [], {
+      cwd: __dirname,
+      stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+    });
+    let result = null;
+    child.on('message', (msg) => { result = msg; });
+    child.on('error', (err) => reject(new Error(`glTF packer spawn error: ${err.message}`)));
+    child.on('close', (code, signal) => {
+      if (result && result.type === 'done') {
+        console.log(`📦 Packed ${result.entry} (${result.files} files) → ${glbFile} (${(result.size / (1024 * 1024)).toFixed(1)}MB)`);
+        return resolve(glbFile);
+      }
+      removeLocalFile(glbPath);
+      if (result && result.type === 'error') return reject(Object.assign(new Error(result.message), result.missing ? { missing: result.missing } : {}));
+      reject(new Error(signal ? `glTF packer killed (${signal})` : `glTF packer exited with code ${code}`));
+    });
+    child.send({
+      output: glbPath,
+      zip,
+      files: zip ? [] : uploads.map(f => ({ originalname: f.originalname, path: f.path }))
+    });
+  }).finally(() => {
+    // The GLB holds everything now — drop the zip / loose files
+    uploads.forEach(f => removeLocalFile(f.path));
+  });
+}
+
 // ═══════════════════════════════════════════════════════════════════
 // PERFORMANCE: Smart model serving - prefer optimized version
 // Handles both /uploads/:file AND /uploads/optimized/:file
 // ═══════════════════════════════════════════════════════════════════
-function serveModelFile(req, res, next) {
+async function serveModelFile(req, res, next) {
   const filename = req.params.filename || req.params[0];
-  if (!filename || !filename.match(/\.(glb|gltf)$/i)) return next();
+  if (!filename || !filename.match(/\.(glb|gltf|webp)$/i)) return next();
 
   // Determine file path - check optimized first, then original
   const optimizedPath = path.join(OPTIMIZED_DIR, filename);
   const originalPath = path.join(UPLOADS_DIR, filename);
-  const filePath = fs.existsSync(optimizedPath) ? optimizedPath : originalPath;
-
-  // LOG: Track what's being served to help debug mobile issues
-  const ua = req.headers['user-agent'] || 'Unknown';
-  const isMobile = /iPhone|iPad|Android/i.test(ua);
-  const sizeMB = fs.existsSync(filePath) ? (fs.statSync(filePath).size / 1024 / 1024).toFixed(1) : '?';
-  console.log(`📡 [${isMobile ? 'MOBILE' : 'DESKTOP'}] Serving: ${filename} (${sizeMB}MB) from ${filePath === optimizedPath ? 'OPTIMIZED' : 'ORIGINAL'} → ${req.ip}`);
+  let filePath = fs.existsSync(optimizedPath) ? optimizedPath : originalPath;
+  let source = filePath === optimizedPath ? 'OPTIMIZED' : 'ORIGINAL';
+
+  // Not on this disk (cold deploy) — a signed request can still be answered from object storage
+  if (!fs.existsSync(filePath) && req.asset && objectStorage) {
+    const keys = storedKeys(req.asset);
+    const key = [`optimized/${filename}`, `originals/${filename}`].find(k => keys.has(k));
+    if (!key) return next();
+    if (!objectStorage.pathFor) {
+      try {
+        const url = await objectStorage.url(key, { expiresInSeconds: STORAGE_LINK_TTL_SECONDS });
+        res.setHeader('Cache-Control', 'no-store');
+        return res.redirect(302, url);
+      } catch (e) {
+        console.log(`☁️ ${objectStorage.name} link failed [${key}]: ${e.message}`);
+        return res.status(502).json({ error: 'Object storage is unavailable' });
+      }
+    }
+    filePath = objectStorage.pathFor(key);
+    source = 'STORAGE';
+  }
 
   if (!fs.existsSync(filePath)) return next();
 
   const stat = fs.statSync(filePath);
   const fileSize = stat.size;
 
+  // LOG: Track what's being served to help debug mobile issues (models only — posters are many)
+  if (!/\.webp$/i.test(filename)) {
+    const ua = req.headers['user-agent'] || 'Unknown';
+    const isMobile = /iPhone|iPad|Android/i.test(ua);
+    console.log(`📡 [${isMobile ? 'MOBILE' : 'DESKTOP'}] Serving: ${filename} (${(fileSize / 1024 / 1024).toFixed(1)}MB) from ${source} → ${req.ip}`);
+  }
+
   // PERF: Model files have unique IDs in filename (nanoid) → they NEVER change
-  // Safe to cache immutably for 1 year — browser will never re-download
-  res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
-  res.setHeader('Content-Type', filename.endsWith('.glb') ? 'model/gltf-binary' : 'model/gltf+json');
+  // Safe to cache immutably for 1 year — unless the link is signed, then only while it's valid
+  res.setHeader('Cache-Control', req.asset ? signedCacheControl(req) : 'public, max-age=31536000, immutable');
+  res.setHeader('Content-Type', contentTypeFor(filename));
   res.setHeader('Accept-Ranges', 'bytes');
   res.setHeader('Last-Modified', stat.mtime.toUTCString());
-  res.setHeader('X-Optimized', fs.existsSync(optimizedPath) ? 'true' : 'false');
+  res.setHeader('X-Optimized', source === 'ORIGINAL' ? 'false' : 'true');
 
   // Support Range requests for streaming/resume
   const range = req.headers.range;
@@ -346,6 +1167,7 @@ function serveModelFile(req, res, next) {
     fs.createReadStream(filePath).pipe(res);
   }
 }
+app.use('/uploads', assetFileGuard);
 app.get('/uploads/optimized/:filename', serveModelFile);
 app.get('/uploads/:filename', serveModelFile);
 
@@ -358,7 +1180,9 @@ app.use('/uploads', express.static(path.join(PUBLIC_DIR, 'uploads'), {
   lastModified: true,
   setHeaders: (res, filePath) => {
     // Upload files have unique nanoid names → immutable for models, 1-week for others
-    if (filePath.match(/\.(glb|gltf|fbx)$/i)) {
+    if (res.req.asset) {
+      res.setHeader('Cache-Control', signedCacheControl(res.req));
+    } else if (filePath.match(/\.(glb|gltf|fbx)$/i)) {
       res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
     } else {
       res.setHeader('Cache-Control', 'public, max-age=604800'); // 1 week
@@ -376,27 +1200,52 @@ app.use(express.static(PUBLIC_DIR, {
   }
 }));
 
-app.post('/upload', (req, res, next) => {
-  req._uploadId = nanoid(8);
-  next();
-}, upload.fields([
+const UPLOAD_FIELDS = [
   { name: 'model', maxCount: 1 },
+  { name: 'modelFiles', maxCount: 500 }, // loose .gltf/.bin/texture files (folder upload)
   { name: 'audio', maxCount: 1 },
   { name: 'groundImage', maxCount: 1 },
   { name: 'envImage', maxCount: 1 },
   { name: 'props', maxCount: 20 }
-]), (req, res) => {
+];
+
+app.post('/upload', requireRole('creator'), (req, res, next) => {
+  req._uploadId = nanoid(8);
+  next();
+}, upload.fields(UPLOAD_FIELDS), createUploadedAsset);
+
+// Record + optimization for an upload. req.files is what multer stored for UPLOAD_FIELDS —
+// a resumable upload's finalize step puts its assembled model file in req.files.model.
+async function createUploadedAsset(req, res) {
   try {
     const id = req._uploadId;
-    const modelFile = req.files['model'] && req.files['model'][0] ? path.basename(req.files['model'][0].filename) : null;
+    let modelFile = req.files['model'] && req.files['model'][0] ? path.basename(req.files['model'][0].filename) : null;
     const audioFile = req.files['audio'] && req.files['audio'][0] ? path.basename(req.files['audio'][0].filename) : null;
     const groundFile = req.files['groundImage'] && req.files['groundImage'][0] ? path.basename(req.files['groundImage'][0].filename) : null;
     const envFile = req.files['envImage'] && req.files['envImage'][0] ? path.basename(req.files['envImage'][0].filename) : null;
     const propsFiles = req.files['props'] ? req.files['props'].map(f => `/uploads/${path.basename(f.filename)}`) : [];
 
+    // .zip / .gltf / folder → packed into a single GLB (every external file must be present)
+    const modelParts = req.files['modelFiles'] || [];
+    if (modelParts.length > 0 || (modelFile && /\.(zip|gltf)$/i.test(modelFile))) {
+      try {
+        modelFile = await packUploadedModel(id, req.files['model'] && req.files['model'][0], modelParts);
+      } catch (e) {
+        console.log(`📦 glTF packing failed for ${id}: ${e.message}`);
+        Object.values(req.files).flat().forEach(f => removeLocalFile(f.path));
+        return res.status(400).json({ error: e.message, ...(e.missing ? { missing: e.missing } : {}) });
+      }
+    }
+
     if (!modelFile) return res.status(400).json({ error: 'Model file is required (glb/gltf).' });
 
-    const db = getDB();
+    // Optimization profile (optimization-profiles.json) — empty = the configured default
+    const profileName = String(req.body.optimizationProfile || '').trim();
+    if (profileName && !isKnownProfile(profileName)) {
+      Object.values(req.files).flat().forEach(f => removeLocalFile(f.path));
+      removeLocalFile(path.join(UPLOADS_DIR, modelFile));
+      return res.status(400).json({ error: `Unknown optimization profile "${profileName}"`, profiles: listProfiles().profiles.map(p => p.name) });
+    }
 
     // Parse animations safely
     let animations = [];
@@ -438,15 +1287,28 @@ app.post('/upload', (req, res, next) => {
       }
     }
 
+    // Effects reference clips by name — validate against the clips we just found
+    // (FBX: clips are only known after conversion, so clip names are checked then)
+    const isFBX = /\.fbx$/i.test(modelFile);
+    const { effects: characterEffects, errors: effectErrors } = normalizeEffects(effects, { animations: isFBX ? null : detectedAnimations });
+    if (effectErrors.length > 0) console.log(`✨ Effects: dropped invalid entries — ${effectErrors.join('; ')}`);
+
+    // Validation report for the uploader (FBX: after conversion, in the optimization job)
+    const validation = isFBX ? null : await validateModel(path.join(UPLOADS_DIR, modelFile));
+    if (validation) logValidation(modelFile, validation);
+
     const modelFullStat = modelFile ? fs.statSync(path.join(UPLOADS_DIR, modelFile)) : null;
-    db[id] = {
+    const editToken = nanoid(32);
+    assets.put({
       id,
       model: `/uploads/${modelFile}`,
-      rawModelSize: modelFullStat ? modelFullStat.size : 0, // original size in bytes — persisted for Azure
+      rawModelSize: modelFullStat ? modelFullStat.size : 0, // original size in bytes — persisted for storage-only deploys
       audio: audioFile ? `/uploads/${audioFile}` : null,
+      audioPositional: formFlag(req.body.audioPositional), // viewer attaches the audio to the model (3D falloff)
       groundImage: groundFile ? `/uploads/${groundFile}` : null,
       envImage: envFile ? `/uploads/${envFile}` : null,
       props: propsFiles,
+      propLayout: normalizePropLayout(parseFormJSON(req.body.propLayout), propsFiles.length),
       modelY: parseFloat(req.body.modelY) || 0,
       caption: req.body.caption || null,
       // Character info for AR HUD
@@ -461,37 +1323,544 @@ app.post('/upload', (req, res, next) => {
         defense: parseInt(req.body.statDefense) || 80
       },
       animations: detectedAnimations,
+      effects: characterEffects,
+      validation,
+      optimizationProfile: resolveProfile(profileName).name,
+      editTokenHash: hashEditToken(editToken),
+      ownerId: users.has(req.user.id) ? req.user.id : null,
+      // Unpublished assets are only visible to signed-in users (staff preview)
+      published: req.body.published === undefined ? true : formFlag(req.body.published),
       createdAt: Date.now()
-    };
-    saveDB(db);
+    });
 
-    // Auto-optimize GLB on upload — always run, no size skip
-    // spawnOptimizer handles memory limit + dedup guard internally
-    if (modelFile && modelFile.endsWith('.glb')) {
+    // Auto-optimize GLB (and FBX, converted first) on upload — queued, the queue handles memory limit + dedup
+    if (modelFile && (modelFile.endsWith('.glb') || isFBX)) {
       const modelFullPath = path.join(UPLOADS_DIR, modelFile);
       const modelSizeMB = (fs.statSync(modelFullPath).size / (1024 * 1024)).toFixed(1);
       if (parseFloat(modelSizeMB) > 500) {
         console.log(`⏭️ ${modelFile} is ${modelSizeMB}MB — too large to optimize, serving original`);
-        // Still upload original to Azure for persistence
+        // Still upload original to object storage for persistence
         uploadToBlob(modelFullPath, `originals/${modelFile}`)
-          .then(url => { if (url) { const d = getDB(); if (d[id]) { d[id].blobOriginalUrl = url; saveDB(d); } } })
+          .then(key => { if (key) assets.update(id, a => { a.blobOriginalUrl = key; }); })
           .catch(() => {});
       } else {
-        spawnOptimizer(modelFile, id);
-        // Also upload original immediately for backup / while optimization is running
+        enqueueOptimization(id, modelFile);
+        // Also upload original immediately for backup / while optimization is running.
+        // An FBX is only a backup — blobOriginalUrl is set to the converted GLB later.
         uploadToBlob(modelFullPath, `originals/${modelFile}`)
-          .then(url => { if (url) { const d = getDB(); if (d[id]) { d[id].blobOriginalUrl = url; saveDB(d); } } })
+          .then(key => { if (key) assets.update(id, a => { a[isFBX ? 'blobSourceUrl' : 'blobOriginalUrl'] = key; }); })
           .catch(() => {});
       }
     }
 
-    const url = `${req.protocol}://${req.get('host')}/view/${id}`;
-    res.json({ id, url });
+    const url = `${publicBaseUrl(req)}/view/${id}`;
+    // editToken is only ever returned here — the db keeps just its hash
+    res.json({ id, url, editToken, validation, ...(effectErrors.length > 0 ? { effectErrors } : {}) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Upload failed' });
   }
-});
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RESUMABLE UPLOADS: The model file in chunks, so a dropped connection resumes
+// instead of starting over (the other form files are small and go with finalize)
+//   POST   /api/uploads                 { fileName, size } → session { id, chunkSize, received }
+//   PUT    /api/uploads/:id?offset=N    raw bytes (application/octet-stream), appended at N
+//   GET    /api/uploads/:id             → { received, complete } — where to resume
+//   POST   /api/uploads/:id/complete    multipart form like /upload, minus the model → same response
+//   DELETE /api/uploads/:id             abort
+// Bytes go to data/partial-uploads/<id>.part; what is on disk is the truth, so a chunk cut
+// off mid-way is simply resumed from wherever it stopped. Sessions expire after
+// UPLOAD_SESSION_TTL_MS (default 24h) and belong to the user who created them.
+// ═══════════════════════════════════════════════════════════════════
+const PARTIAL_UPLOADS_DIR = path.join(DATA_DIR, 'partial-uploads');
+const UPLOAD_CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024;  // suggested to clients
+const UPLOAD_CHUNK_MAX = Math.max(UPLOAD_CHUNK_SIZE, 32 * 1024 * 1024);                 // accepted per PUT
+const UPLOAD_SESSION_TTL_MS = parseInt(process.env.UPLOAD_SESSION_TTL_MS) || 24 * 60 * 60 * 1000;
+const RESUMABLE_MODEL_EXTENSIONS = ['.glb', '.gltf', '.fbx', '.zip'];
+const writingChunks = new Set(); // session ids with a PUT in progress
+
+if (!fs.existsSync(PARTIAL_UPLOADS_DIR)) fs.mkdirSync(PARTIAL_UPLOADS_DIR, { recursive: true });
+
+function uploadPartPath(sessionId) {
+  return path.join(PARTIAL_UPLOADS_DIR, `${sessionId}.part`);
+}
+
+function publicUploadSession(session) {
+  const received = fileSize(uploadPartPath(session.id)) || 0;
+  return {
+    id: session.id,
+    fileName: session.fileName,
+    size: session.size,
+    received,
+    complete: received === session.size,
+    chunkSize: UPLOAD_CHUNK_SIZE,
+    expiresAt: session.expiresAt
+  };
+}
+
+function removeUploadSession(sessionId) {
+  removeLocalFile(uploadPartPath(sessionId));
+  return uploadSessions.remove(sessionId);
+}
+
+// Expired sessions and their partial files
+function sweepUploadSessions() {
+  let removed = 0;
+  for (const session of uploadSessions.list()) {
+    if (session.expiresAt < Date.now() && !writingChunks.has(session.id) && removeUploadSession(session.id)) removed++;
+  }
+  if (removed > 0) console.log(`🧹 Removed ${removed} expired upload session(s)`);
+}
+
+// :id must be a live session of the requesting user (admins see every session)
+function uploadSessionGuard(req, res, next) {
+  const session = uploadSessions.get(req.params.id);
+  if (!session || session.expiresAt < Date.now()) return res.status(404).json({ error: 'Upload session not found or expired' });
+  if (session.userId !== req.user.id && !auth.hasRole(req.user, 'admin')) return res.status(404).json({ error: 'Upload session not found or expired' });
+  req.uploadSession = session;
+  next();
+}
+
+app.post('/api/uploads', requireRole('creator'), (req, res) => {
+  const body = req.body || {};
+  const fileName = path.basename(String(body.fileName || '').trim()).slice(0, 200);
+  const size = Number(body.size);
+  if (!fileName || !RESUMABLE_MODEL_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+    return res.status(400).json({ error: `fileName must end in ${RESUMABLE_MODEL_EXTENSIONS.join(', ')}` });
+  }
+  if (!Number.isInteger(size) || size <= 0) return res.status(400).json({ error: 'size must be the file size in bytes' });
+  if (size > MAX_UPLOAD_BYTES) return res.status(413).json({ error: `File too large (max ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB)` });
+
+  const now = Date.now();
+  const session = uploadSessions.put({
+    id: nanoid(16),
+    userId: req.user.id,
+    fileName,
+    size,
+    createdAt: now,
+    expiresAt: now + UPLOAD_SESSION_TTL_MS
+  });
+  fs.writeFileSync(uploadPartPath(session.id), Buffer.alloc(0));
+  console.log(`📤 Upload session ${session.id}: ${fileName} (${(size / (1024 * 1024)).toFixed(1)}MB) by ${req.user.username}`);
+  res.status(201).json(publicUploadSession(session));
+});
+
+app.get('/api/uploads/:id', requireRole('creator'), uploadSessionGuard, (req, res) => {
+  res.json(publicUploadSession(req.uploadSession));
+});
+
+app.put('/api/uploads/:id', requireRole('creator'), uploadSessionGuard, (req, res) => {
+  const session = req.uploadSession;
+  const partPath = uploadPartPath(session.id);
+  const received = fileSize(partPath) || 0;
+  const offset = Number(req.query.offset);
+  const length = parseInt(req.get('content-length'));
+
+  if (writingChunks.has(session.id)) return res.status(409).json({ error: 'Another chunk is still being written', received });
+  if (offset !== received) return res.status(409).json({ error: `Offset mismatch — resume at ${received}`, received });
+  if (!(length > 0)) return res.status(411).json({ error: 'Content-Length is required', received });
+  if (length > UPLOAD_CHUNK_MAX) return res.status(413).json({ error: `Chunk too large (max ${UPLOAD_CHUNK_MAX} bytes)`, received });
+  if (received + length > session.size) return res.status(400).json({ error: 'Chunk runs past the declared file size', received });
+
+  writingChunks.add(session.id);
+  pipeline(req, fs.createWriteStream(partPath, { flags: 'a' }), (err) => {
+    writingChunks.delete(session.id);
+    if (err) {
+      // A cut-off chunk keeps what arrived — the client asks GET where to resume.
+      // Anything else (disk full, permissions) must still answer, or the PUT hangs.
+      const at = fileSize(partPath) || 0;
+      console.log(`📤 Upload ${session.id}: chunk interrupted at ${at}/${session.size} (${err.message})`);
+      if (!req.aborted && !res.headersSent) res.status(500).json({ error: 'Could not store the chunk', received: at });
+      return;
+    }
+    res.json(publicUploadSession(session));
+  });
+});
+
+app.delete('/api/uploads/:id', requireRole('creator'), uploadSessionGuard, (req, res) => {
+  if (writingChunks.has(req.uploadSession.id)) return res.status(409).json({ error: 'A chunk is still being written' });
+  removeUploadSession(req.uploadSession.id);
+  res.json({ id: req.params.id, deleted: true });
+});
+
+// The assembled file becomes req.files.model and the rest is exactly /upload.
+// The session is used up here — even if the asset is then rejected (e.g. a broken zip).
+app.post('/api/uploads/:id/complete', requireRole('creator'), uploadSessionGuard, (req, res, next) => {
+  const session = req.uploadSession;
+  if (writingChunks.has(session.id)) return res.status(409).json({ error: 'A chunk is still being written' });
+  const { received, complete } = publicUploadSession(session);
+  if (!complete) return res.status(409).json({ error: `Upload incomplete (${received}/${session.size} bytes)`, received });
+  req._uploadId = nanoid(8);
+  next();
+}, upload.fields(UPLOAD_FIELDS.filter(f => f.name !== 'model' && f.name !== 'modelFiles')), (req, res) => {
+  const session = req.uploadSession;
+  const filename = `${req._uploadId}-model${path.extname(session.fileName)}`;
+  const modelPath = path.join(UPLOADS_DIR, filename);
+  try {
+    // Same filesystem in the usual setup; copy when data/ lives on another volume
+    try {
+      fs.renameSync(uploadPartPath(session.id), modelPath);
+    } catch (e) {
+      if (e.code !== 'EXDEV') throw e;
+      fs.copyFileSync(uploadPartPath(session.id), modelPath);
+    }
+  } catch (err) {
+    console.error(err);
+    Object.values(req.files || {}).flat().forEach(f => removeLocalFile(f.path));
+    return res.status(500).json({ error: 'Upload failed' });
+  }
+  removeUploadSession(session.id);
+  console.log(`📤 Upload session ${session.id} complete → ${filename}`);
+
+  req.files = {
+    ...req.files,
+    model: [{ fieldname: 'model', originalname: session.fileName, filename, path: modelPath, size: session.size }]
+  };
+  createUploadedAsset(req, res);
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// API: Edit / delete an asset — requires the edit token from the upload response
+// Registered before the multer error handler so audio swaps get the same errors
+// ═══════════════════════════════════════════════════════════════════
+const EDITABLE_TEXT_FIELDS = ['characterName', 'characterEra', 'characterBio', 'caption'];
+const EDITABLE_STATS = { statStrength: 'strength', statStrategy: 'strategy', statLeadership: 'leadership', statDefense: 'defense' };
+
+// Rejects (and removes the uploaded audio) before anything is saved
+function rejectAssetUpdate(req, res, status, body) {
+  const audio = req.files && req.files['audio'] && req.files['audio'][0];
+  if (audio) removeLocalFile(audio.path);
+  return res.status(status).json(body);
+}
+
+app.patch('/api/asset/:id', requireEditToken, (req, res, next) => {
+  // Unique prefix so a swapped audio file never reuses the old (immutable-cached) name
+  req._uploadId = `${req.params.id}-${nanoid(6)}`;
+  next();
+}, upload.fields([{ name: 'audio', maxCount: 1 }]), (req, res) => {
+  try {
+    const asset = assets.get(req.params.id);
+    if (!asset) return rejectAssetUpdate(req, res, 404, { error: 'Not found' });
+    const body = req.body || {};
+    const changed = [];
+
+    for (const key of EDITABLE_TEXT_FIELDS) {
+      if (body[key] === undefined) continue;
+      asset[key] = String(body[key]).trim() || (key === 'characterName' ? 'Vị Tướng' : key === 'caption' ? null : '');
+      changed.push(key);
+    }
+    if (body.characterHeight !== undefined) {
+      const h = parseFloat(body.characterHeight);
+      if (!(h > 0)) return rejectAssetUpdate(req, res, 400, { error: 'characterHeight must be a positive number' });
+      asset.characterHeight = h;
+      changed.push('characterHeight');
+    }
+    if (body.modelY !== undefined) {
+      asset.modelY = parseFloat(body.modelY) || 0;
+      changed.push('modelY');
+    }
+    for (const [field, stat] of Object.entries(EDITABLE_STATS)) {
+      if (body[field] === undefined) continue;
+      asset.characterStats = { ...asset.characterStats, [stat]: parseInt(body[field]) || 0 };
+      changed.push(field);
+    }
+
+    // Audio: replace with the uploaded file, or drop it with removeAudio=true
+    const newAudio = req.files && req.files['audio'] && req.files['audio'][0];
+    const removeAudio = formFlag(body.removeAudio);
+    const replacedAudio = (newAudio || removeAudio) && asset.audio;
+    if (newAudio || removeAudio) {
+      asset.audio = newAudio ? `/uploads/${path.basename(newAudio.filename)}` : null;
+      changed.push('audio');
+    }
+    if (body.propLayout !== undefined) {
+      const layout = parseFormJSON(body.propLayout);
+      if (!Array.isArray(layout)) return rejectAssetUpdate(req, res, 400, { error: 'propLayout must be a JSON array' });
+      asset.propLayout = normalizePropLayout(layout, (asset.props || []).length);
+      changed.push('propLayout');
+    }
+    if (body.effects !== undefined) {
+      const parsed = parseFormJSON(body.effects);
+      const { effects, errors } = parsed === undefined
+        ? { effects: [], errors: ['effects must be valid JSON'] }
+        : normalizeEffects(parsed, { animations: asset.animations || [] });
+      if (errors.length > 0) return rejectAssetUpdate(req, res, 400, { error: 'Invalid effects', details: errors });
+      asset.effects = effects;
+      changed.push('effects');
+    }
+    if (body.audioPositional !== undefined) {
+      asset.audioPositional = formFlag(body.audioPositional);
+      changed.push('audioPositional');
+    }
+    if (body.published !== undefined) {
+      asset.published = formFlag(body.published);
+      changed.push('published');
+    }
+    let reoptimize = false;
+    if (body.optimizationProfile !== undefined) {
+      const name = String(body.optimizationProfile).trim();
+      if (!isKnownProfile(name)) return rejectAssetUpdate(req, res, 400, { error: `Unknown optimization profile "${name}"`, profiles: listProfiles().profiles.map(p => p.name) });
+      reoptimize = name !== resolveProfile(asset.optimizationProfile).name;
+      asset.optimizationProfile = name;
+      changed.push('optimizationProfile');
+    }
+
+    if (changed.length === 0) return rejectAssetUpdate(req, res, 400, { error: 'Nothing to update' });
+    const saved = assets.put(asset);
+    // The old file goes only once the record no longer points at it
+    if (replacedAudio) removeLocalFile(path.join(UPLOADS_DIR, path.basename(replacedAudio)));
+    console.log(`✏️ Asset ${asset.id} updated: ${changed.join(', ')}`);
+    // New profile → rebuild the variants (a running job re-queues itself when it settles)
+    if (reoptimize && /\.glb$/i.test(asset.model || '')) {
+      enqueueOptimization(asset.id, path.basename(asset.model), { force: true });
+    }
+    res.json({ ...publicAsset(saved), updated: changed });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Update failed' });
+  }
+});
+
+app.delete('/api/asset/:id', requireEditToken, async (req, res) => {
+  try {
+    const asset = assets.get(req.params.id);
+    if (!asset) return res.status(404).json({ error: 'Not found' });
+    const { local, blobs } = assetFiles(asset);
+
+    // Stop a running optimizer first so it can't write variants after we clean up
+    optimizeQueue.cancel(asset.id);
+
+    assets.remove(asset.id);
+    const unlinked = removeFromCollections(asset.id);
+    if (unlinked > 0) console.log(`📚 Removed ${asset.id} from ${unlinked} collection(s)`);
+
+    const removedLocal = local.filter(removeLocalFile).length;
+    const removedBlobs = (await Promise.all(blobs.map(deleteBlob))).filter(Boolean).length;
+    console.log(`🗑️ Asset ${asset.id} deleted (${removedLocal} local files, ${removedBlobs} blobs)`);
+    res.json({ id: asset.id, deleted: true, removedFiles: removedLocal, removedBlobs });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Delete failed' });
+  }
+});
+
+// Revoke access: every signed link handed out so far stops working at once, and only
+// the owner and admins can see the asset (and get new links) until it's restored.
+// Restoring doesn't bring old links back — viewers fetch new ones from /api/asset/:id.
+app.post('/api/asset/:id/revoke', requireEditToken, (req, res) => {
+  const updated = assets.update(req.params.id, a => {
+    a.accessVersion = (a.accessVersion || 0) + 1;
+    a.accessRevoked = true;
+  });
+  if (!updated) return res.status(404).json({ error: 'Not found' });
+  console.log(`🔒 Asset ${updated.id}: access revoked (link version ${updated.accessVersion})`);
+  res.json({ id: updated.id, accessRevoked: true });
+});
+
+app.delete('/api/asset/:id/revoke', requireEditToken, (req, res) => {
+  const updated = assets.update(req.params.id, a => { a.accessRevoked = false; });
+  if (!updated) return res.status(404).json({ error: 'Not found' });
+  console.log(`🔓 Asset ${updated.id}: access restored`);
+  res.json({ id: updated.id, accessRevoked: false });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// COLLECTIONS: An exhibition / board game set — ordered assets behind one QR
+//   { id, title, description, assetIds: [id], cover, editTokenHash, createdAt }
+// /collection/:id is the picker page; cover falls back to the first asset's thumbnail.
+// Create returns an editToken exactly like /upload; PATCH / DELETE need it.
+// ═══════════════════════════════════════════════════════════════════
+const MAX_COLLECTION_ASSETS = 100;
+const COVER_MAX_SIZE = 2048;
+const requireCollectionToken = editTokenGuard(collections);
+
+// JSON array, repeated form field or comma-separated list → { ids, unknown }, de-duplicated, order kept
+function parseAssetIds(value) {
+  const parsed = Array.isArray(value) ? value : parseFormJSON(value);
+  const raw = Array.isArray(parsed) ? parsed : String(value || '').split(',');
+  const ids = [...new Set(raw.map(id => String(id).trim()).filter(Boolean))];
+  return { ids, unknown: ids.filter(id => !assets.has(id)) };
+}
+
+function removeFromCollections(assetId) {
+  let changed = 0;
+  for (const c of collections.list()) {
+    if (!(c.assetIds || []).includes(assetId)) continue;
+    collections.update(c.id, doc => { doc.assetIds = doc.assetIds.filter(id => id !== assetId); });
+    changed++;
+  }
+  return changed;
+}
+
+// Assets are resolved on every read, so renames and new thumbnails show up immediately
+// (unpublished ones only for signed-in requests)
+function publicCollection(collection, req) {
+  const { editTokenHash, ...rest } = collection;
+  const items = (rest.assetIds || [])
+    .map(id => assets.get(id))
+    .filter(a => canSeeAsset(req, a))
+    .map(a => ({
+      id: a.id,
+      characterName: a.characterName || 'Vị Tướng',
+      characterEra: a.characterEra || '',
+      thumbnail: assetThumbnails(a).thumbnail
+    }));
+  const firstThumb = items.find(a => a.thumbnail);
+  return { ...rest, cover: rest.cover || (firstThumb ? firstThumb.thumbnail : null), assets: items };
+}
+
+// The cover is re-encoded to WebP: the declared type and extension come from the
+// client, and /uploads is same-origin — an "image" must never be served as HTML
+async function reencodeCover(file) {
+  const filename = `${path.basename(file.filename, path.extname(file.filename))}.webp`;
+  const target = path.join(UPLOADS_DIR, filename);
+  const tmp = `${target}.tmp`;
+  try {
+    await sharp(file.path)
+      .rotate()
+      .resize(COVER_MAX_SIZE, COVER_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 85 })
+      .toFile(tmp);
+    fs.renameSync(tmp, target);
+  } finally {
+    removeLocalFile(tmp);
+    if (file.path !== target) removeLocalFile(file.path);
+  }
+  return { ...file, filename, path: target, mimetype: 'image/webp', size: fileSize(target) };
+}
+
+function collectionUpload(req, res, next) {
+  upload.fields([{ name: 'cover', maxCount: 1 }])(req, res, async (err) => {
+    if (err) return next(err);
+    const cover = req.files && req.files['cover'] && req.files['cover'][0];
+    req.coverFile = null;
+    if (cover) {
+      try {
+        req.coverFile = await reencodeCover(cover);
+      } catch (e) {
+        return res.status(400).json({ error: 'cover must be an image' });
+      }
+    }
+    next();
+  });
+}
+
+// Rejects (and removes the uploaded cover) before anything is saved
+function rejectCollection(req, res, status, body) {
+  if (req.coverFile) removeLocalFile(req.coverFile.path);
+  return res.status(status).json(body);
+}
+
+app.post('/api/collections', requireRole('creator'), (req, res, next) => {
+  req._uploadId = nanoid(8);
+  next();
+}, collectionUpload, (req, res) => {
+  try {
+    const id = req._uploadId;
+    const body = req.body || {};
+    const title = String(body.title || '').trim();
+    if (!title) return rejectCollection(req, res, 400, { error: 'title is required' });
+
+    const { ids, unknown } = parseAssetIds(body.assetIds);
+    if (unknown.length > 0) return rejectCollection(req, res, 400, { error: 'Unknown asset ids', unknown });
+    if (ids.length > MAX_COLLECTION_ASSETS) return rejectCollection(req, res, 400, { error: `A collection holds at most ${MAX_COLLECTION_ASSETS} assets` });
+
+    const editToken = nanoid(32);
+    const saved = collections.put({
+      id,
+      title,
+      description: String(body.description || '').trim(),
+      assetIds: ids,
+      cover: req.coverFile ? `/uploads/${path.basename(req.coverFile.filename)}` : null,
+      editTokenHash: hashEditToken(editToken),
+      ownerId: users.has(req.user.id) ? req.user.id : null,
+      createdAt: Date.now()
+    });
+    console.log(`📚 Collection ${id} created: "${title}" (${ids.length} assets)`);
+
+    const url = `${publicBaseUrl(req)}/collection/${id}`;
+    res.status(201).json({ ...publicCollection(saved, req), url, editToken });
+  } catch (err) {
+    console.error(err);
+    rejectCollection(req, res, 500, { error: 'Collection create failed' });
+  }
+});
+
+app.get('/api/collections', (req, res) => {
+  const list = collections.list()
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+    .map(c => {
+      const { assets: items, ...rest } = publicCollection(c, req);
+      return { ...rest, assetCount: items.length };
+    });
+  res.json(list);
+});
+
+app.get('/api/collection/:id', (req, res) => {
+  const collection = collections.get(req.params.id);
+  if (!collection) return res.status(404).json({ error: 'Not found' });
+  res.json(publicCollection(collection, req));
+});
+
+app.patch('/api/collection/:id', requireCollectionToken, (req, res, next) => {
+  // Unique prefix so a swapped cover never reuses the old (cached) name
+  req._uploadId = `${req.params.id}-${nanoid(6)}`;
+  next();
+}, collectionUpload, (req, res) => {
+  try {
+    const collection = collections.get(req.params.id);
+    if (!collection) return rejectCollection(req, res, 404, { error: 'Not found' });
+    const body = req.body || {};
+    const changed = [];
+
+    if (body.title !== undefined) {
+      const title = String(body.title).trim();
+      if (!title) return rejectCollection(req, res, 400, { error: 'title cannot be empty' });
+      collection.title = title;
+      changed.push('title');
+    }
+    if (body.description !== undefined) {
+      collection.description = String(body.description).trim();
+      changed.push('description');
+    }
+    if (body.assetIds !== undefined) {
+      const { ids, unknown } = parseAssetIds(body.assetIds);
+      if (unknown.length > 0) return rejectCollection(req, res, 400, { error: 'Unknown asset ids', unknown });
+      if (ids.length > MAX_COLLECTION_ASSETS) return rejectCollection(req, res, 400, { error: `A collection holds at most ${MAX_COLLECTION_ASSETS} assets` });
+      collection.assetIds = ids;
+      changed.push('assetIds');
+    }
+    // Cover: replace with the uploaded image, or go back to the first thumbnail with removeCover=true
+    if (req.coverFile || formFlag(body.removeCover)) {
+      if (collection.cover) removeLocalFile(path.join(UPLOADS_DIR, path.basename(collection.cover)));
+      collection.cover = req.coverFile ? `/uploads/${path.basename(req.coverFile.filename)}` : null;
+      changed.push('cover');
+    }
+
+    if (changed.length === 0) return res.status(400).json({ error: 'Nothing to update' });
+    const saved = collections.put(collection);
+    console.log(`✏️ Collection ${collection.id} updated: ${changed.join(', ')}`);
+    res.json({ ...publicCollection(saved, req), updated: changed });
+  } catch (err) {
+    console.error(err);
+    rejectCollection(req, res, 500, { error: 'Update failed' });
+  }
+});
+
+app.delete('/api/collection/:id', requireCollectionToken, (req, res) => {
+  const collection = collections.get(req.params.id);
+  if (!collection) return res.status(404).json({ error: 'Not found' });
+  collections.remove(collection.id);
+  if (collection.cover) removeLocalFile(path.join(UPLOADS_DIR, path.basename(collection.cover)));
+  console.log(`🗑️ Collection ${collection.id} deleted`);
+  res.json({ id: collection.id, deleted: true });
+});
+
+app.get('/collection/:id', (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, 'collection.html'));
+});
 
 // ═══════════════════════════════════════════════════════════════════
 // MULTER ERROR HANDLER — Catches file-too-large and other multer errors
@@ -521,9 +1890,10 @@ app.use((err, req, res, next) => {
 });
 
 app.get('/api/asset/:id', (req, res) => {
-  const db = getDB();
-  const asset = db[req.params.id];
-  if (!asset) return res.status(404).json({ error: 'Not found' });
+  const stored = assets.get(req.params.id);
+  if (!canSeeAsset(req, stored)) return res.status(404).json({ error: 'Not found' });
+  // The model URL is rewritten below on this copy only
+  const asset = publicAsset(stored);
 
   // Include optimized model path info
   const modelFile = asset.model ? path.basename(asset.model) : null;
@@ -531,56 +1901,68 @@ app.get('/api/asset/:id', (req, res) => {
   let isOptimized = false;
   let previewModel = null;
   let mobileModel = null;
+  let mobileKtx2Model = null;
+  let lods = [];
 
   if (modelFile) {
     const optimizedPath = path.join(OPTIMIZED_DIR, modelFile);
     const originalPath = path.join(UPLOADS_DIR, modelFile);
+    // A variant is there when it's on disk or in object storage — either way behind a signed link
+    const keys = storedKeys(stored);
+    const hasVariant = (file) => fs.existsSync(path.join(OPTIMIZED_DIR, file)) || keys.has(`optimized/${file}`);
+    const link = (file) => assetFileUrl(stored, file);
 
     const isGltf = modelFile.toLowerCase().endsWith('.gltf');
     const ext = isGltf ? '.gltf' : '.glb';
     const baseName = modelFile.substring(0, modelFile.length - ext.length);
     const previewFileName = `${baseName}.preview${ext}`;
-    const previewPath = path.join(OPTIMIZED_DIR, previewFileName);
     const mobileFileName = `${baseName}.mobile${ext}`;
-    const mobilePath = path.join(OPTIMIZED_DIR, mobileFileName);
+    const mobileKtx2FileName = `${baseName}.mobile.ktx2${ext}`;
 
-    if (fs.existsSync(previewPath)) {
-      previewModel = `/uploads/optimized/${previewFileName}`;
-    }
-
-    if (fs.existsSync(mobilePath)) {
-      mobileModel = `/uploads/optimized/${mobileFileName}`;
-    }
+    if (hasVariant(previewFileName)) previewModel = link(previewFileName);
+    if (hasVariant(mobileFileName)) mobileModel = link(mobileFileName);
+    if (hasVariant(mobileKtx2FileName)) mobileKtx2Model = link(mobileKtx2FileName);
 
     if (modelFile.endsWith('.glb') && fs.existsSync(optimizedPath)) {
       modelSize = fs.statSync(optimizedPath).size;
       isOptimized = true;
-      // Prefer Azure Blob URL (survives server restarts) over local path
-      asset.model = asset.blobUrl || `/uploads/optimized/${modelFile}`;
+      asset.model = link(modelFile);
     } else if (fs.existsSync(originalPath)) {
       modelSize = fs.statSync(originalPath).size;
-      if (asset.blobOriginalUrl) asset.model = asset.blobOriginalUrl;
+      asset.model = assetFileUrl(stored, modelFile, '');
+    } else if (stored.blobUrl) {
+      // File not on disk (cold deploy) — the optimized copy in storage is served instead (small file)
+      isOptimized = true;
+      modelSize = stored.blobOptimizedSize || 0; // use stored optimized size if available
+      asset.model = link(modelFile);
     } else {
-      // File not on disk (Azure deploy) — use stored rawModelSize so viewer knows to wait
-      if (asset.blobUrl) {
-        // Optimized blob exists → treat as optimized (small file)
-        isOptimized = true;
-        modelSize = asset.blobOptimizedSize || 0; // use stored optimized size if available
-        asset.model = asset.blobUrl;
-      } else {
-        modelSize = asset.rawModelSize || 0;
-        if (asset.blobOriginalUrl) asset.model = asset.blobOriginalUrl;
-      }
+      // Only the original (if any) is in storage — stored rawModelSize lets the viewer know to wait
+      modelSize = stored.rawModelSize || 0;
+      asset.model = assetFileUrl(stored, modelFile, '');
     }
 
-    // Mobile/preview: prefer Azure URLs
-    if (asset.blobMobileUrl) mobileModel = asset.blobMobileUrl;
-    if (asset.blobPreviewUrl) previewModel = asset.blobPreviewUrl;
+    // LOD chain: level 0 is the optimized desktop model, the rest on disk or in storage
+    if (isOptimized && stored.lods) {
+      lods = stored.lods.map(l => ({
+        level: l.level,
+        url: l.level === 0 ? asset.model : hasVariant(l.file) ? link(l.file) : null,
+        vertices: l.vertices,
+        size: l.size,
+        maxTextureSize: l.maxTextureSize
+      })).filter(l => l.url);
+    }
   }
 
-  // Check if this model is currently being optimized
-  const isCurrentlyOptimizing = modelFile ? optimizingModels.has(modelFile) : false;
-  const optimizeInfo = isCurrentlyOptimizing ? optimizingModels.get(modelFile) : null;
+  // Props, audio and images are asset files too — signed the same way
+  const uploadLink = (p) => p ? assetFileUrl(stored, path.basename(p), '') : p;
+  if (asset.props) asset.props = asset.props.map(uploadLink);
+  for (const field of ['audio', 'groundImage', 'envImage', 'sourceModel']) {
+    if (asset[field]) asset[field] = uploadLink(asset[field]);
+  }
+
+  // Check if this model is queued or being optimized
+  const job = optimizeQueue.get(stored.id);
+  const isCurrentlyOptimizing = !!job && (job.status === 'queued' || job.status === 'running');
 
   res.json({
     ...asset,
@@ -588,13 +1970,22 @@ app.get('/api/asset/:id', (req, res) => {
     isOptimized,
     previewModel,
     mobileModel,
+    // Same as mobileModel with KTX2 textures — viewer uses it when the GPU supports compressed formats
+    mobileKtx2Model,
+    // Desktop LOD chain, highest detail first — the viewer swaps levels by camera distance
+    lods,
+    // Poster (gallery, loading screen) and animated turntable WebP — null until optimized
+    ...assetThumbnails(stored),
     // Tell client if Draco decoding is needed
     needsDraco: isOptimized,
     // Tell client if optimization is in progress
     optimizing: isCurrentlyOptimizing,
-    optimizeStartTime: optimizeInfo?.startTime || null,
-    // Whether files are safely backed up in Azure
-    onAzure: !!(asset.blobUrl || asset.blobOriginalUrl)
+    optimizeStartTime: isCurrentlyOptimizing ? job.startedAt || job.createdAt : null,
+    optimizeJob: optimizeJobInfo(job),
+    // Whether files are safely backed up in object storage (name kept for older clients)
+    onAzure: !!(stored.blobUrl || stored.blobOriginalUrl),
+    // Links above stop working at this time (unix seconds) — ask again before then
+    linksExpireAt: modelLinkExpiry()
   });
 });
 
@@ -602,49 +1993,53 @@ app.get('/api/asset/:id', (req, res) => {
 // API: Check optimization status (lightweight polling endpoint)
 // ═══════════════════════════════════════════════════════════════════
 app.get('/api/optimize-status/:id', (req, res) => {
-  const db = getDB();
-  const asset = db[req.params.id];
-  if (!asset) return res.status(404).json({ error: 'Not found' });
+  const asset = assets.get(req.params.id);
+  // Hands out signed links — same visibility as /api/asset/:id
+  if (!canSeeAsset(req, asset)) return res.status(404).json({ error: 'Not found' });
 
-  // ── Safe modelFile extraction: asset.model may have been mutated to a blob URL
-  // by a previous /api/asset/ call (in-memory mutation). Strip URL components.
-  let rawModel = asset.model || '';
-  // If it's a full URL (https://...) extract just the filename portion before any query params
-  if (rawModel.startsWith('http')) {
-    rawModel = rawModel.split('?')[0]; // strip SAS token
-  }
-  const modelFile = rawModel ? path.basename(rawModel) : null;
+  // asset.model may be a blob URL in older records — strip it down to the filename
+  const modelFile = assetModelFile(asset);
   if (!modelFile || !modelFile.match(/\.(glb|gltf)$/i)) {
-    return res.json({ optimizing: false, ready: false, fallbackUrl: asset.blobOriginalUrl || null });
+    // FBX waiting for (or failing) conversion still reports its job
+    const job = optimizeQueue.get(asset.id);
+    return res.json({
+      optimizing: optimizeQueue.isActive(asset.id),
+      ready: false,
+      fallbackUrl: linkForKey(asset, asset.blobOriginalUrl),
+      ...optimizeJobInfo(job)
+    });
   }
 
-  // If optimized blob already exists on Azure → immediately ready
+  // If optimized blob already exists in object storage → immediately ready
   if (asset.blobUrl) {
-    return res.json({ optimizing: false, ready: true, fallbackUrl: asset.blobUrl });
+    return res.json({ optimizing: false, ready: true, fallbackUrl: linkForKey(asset, asset.blobUrl) });
   }
 
-  let isStillOptimizing = optimizingModels.has(modelFile);
+  let job = optimizeQueue.get(asset.id);
+  let isStillOptimizing = !!job && (job.status === 'queued' || job.status === 'running');
 
   // Check if optimized version now exists
   const optimizedPath = path.join(OPTIMIZED_DIR, modelFile);
   const optimizedExists = fs.existsSync(optimizedPath);
 
-  // ── AUTO-HEAL: If not optimized and not running (e.g. after server restart)
-  // re-trigger optimization automatically so next poll will see it complete
-  if (!optimizedExists && !isStillOptimizing) {
+  // ── AUTO-HEAL: never queued, or finished but the files are gone (fresh container)
+  // → queue it again. A permanently failed job is NOT retried here; its error is reported.
+  if (!optimizedExists && !isStillOptimizing && (!job || job.status === 'done')) {
     const originalPath = path.join(UPLOADS_DIR, modelFile);
     if (fs.existsSync(originalPath)) {
       const sizeMB = fs.statSync(originalPath).size / (1024 * 1024);
       if (sizeMB <= 500) {
-        console.log(`🔄 optimize-status: re-triggering missed optimization for ${modelFile}`);
-        spawnOptimizer(modelFile, asset.id || req.params.id);
+        console.log(`🔄 optimize-status: re-queueing missed optimization for ${modelFile}`);
+        job = optimizeQueue.get(enqueueOptimization(asset.id, modelFile, { force: true }).id);
         isStillOptimizing = true; // tell client to keep polling
       }
     }
-    // If original not on disk either (cold Azure deploy without files) —
+  }
+  if (!optimizedExists && !isStillOptimizing) {
+    // If original not on disk either (cold deploy without files) —
     // return blobOriginalUrl as fallback so viewer can at least load something
     if (!isStillOptimizing && asset.blobOriginalUrl) {
-      return res.json({ optimizing: false, ready: false, fallbackUrl: asset.blobOriginalUrl });
+      return res.json({ optimizing: false, ready: false, fallbackUrl: linkForKey(asset, asset.blobOriginalUrl) });
     }
   }
 
@@ -653,6 +2048,7 @@ app.get('/api/optimize-status/:id', (req, res) => {
   const baseName = modelFile.substring(0, modelFile.length - ext.length);
   const mobilePath = path.join(OPTIMIZED_DIR, `${baseName}.mobile${ext}`);
   const mobileExists = fs.existsSync(mobilePath);
+  const mobileKtx2Exists = fs.existsSync(path.join(OPTIMIZED_DIR, `${baseName}.mobile.ktx2${ext}`));
 
   let optimizedSize = 0;
   let mobileSize = 0;
@@ -662,12 +2058,15 @@ app.get('/api/optimize-status/:id', (req, res) => {
   res.json({
     optimizing: isStillOptimizing,
     ready: optimizedExists,
-    optimizedModel: optimizedExists ? `/uploads/optimized/${modelFile}` : null,
-    mobileModel: mobileExists ? `/uploads/optimized/${baseName}.mobile${ext}` : null,
+    optimizedModel: optimizedExists ? assetFileUrl(asset, modelFile) : null,
+    mobileModel: mobileExists ? assetFileUrl(asset, `${baseName}.mobile${ext}`) : null,
+    mobileKtx2Model: mobileKtx2Exists ? assetFileUrl(asset, `${baseName}.mobile.ktx2${ext}`) : null,
     optimizedSize,
     mobileSize,
-    fallbackUrl: asset.blobOriginalUrl || null, // always send fallback for viewer safety
-    elapsedMs: isStillOptimizing ? Date.now() - optimizingModels.get(modelFile).startTime : 0
+    fallbackUrl: linkForKey(asset, asset.blobOriginalUrl), // always send fallback for viewer safety
+    elapsedMs: isStillOptimizing && job.startedAt ? Date.now() - job.startedAt : 0,
+    // Queue detail: status, current stage + per-stage progress, attempts, failure reason
+    ...optimizeJobInfo(job)
   });
 });
 
@@ -676,34 +2075,603 @@ app.get('/view/:id', (req, res) => {
 });
 
 // ═══════════════════════════════════════════════════════════════════
-// API: List all uploaded models (for collection/discovery)
+// API: List uploaded models (gallery / discovery)
+//   ?q=        matches characterName or characterEra (case- and accent-insensitive)
+//   ?era=      matches characterEra only
+//   ?order=    desc (newest first, default) or asc — sorted by createdAt
+//   ?page=     1-based, ?limit= page size (default 24, max 100)
+// → { items, total, page, limit, pages }
 // ═══════════════════════════════════════════════════════════════════
+const ASSET_PAGE_SIZE = 24;
+const ASSET_PAGE_SIZE_MAX = 100;
+
+// "Trần Hưng Đạo" → "tran hung dao", so visitors can search without Vietnamese diacritics
+function searchKey(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd').replace(/Đ/g, 'D')
+    .toLowerCase()
+    .trim();
+}
+
 app.get('/api/assets', (req, res) => {
-  const db = getDB();
-  const list = Object.values(db).map(a => ({
+  const q = searchKey(req.query.q);
+  const era = searchKey(req.query.era);
+  const order = req.query.order === 'asc' ? 1 : -1;
+  const limit = Math.min(parseInt(req.query.limit) > 0 ? parseInt(req.query.limit) : ASSET_PAGE_SIZE, ASSET_PAGE_SIZE_MAX);
+
+  // ?mine=1 — the signed-in creator's own uploads (published or not)
+  const mine = formFlag(req.query.mine);
+  if (mine && !req.user) return res.status(401).json({ error: 'Sign in required' });
+
+  const matches = assets.list()
+    .filter(a => canSeeAsset(req, a))
+    .filter(a => !mine || a.ownerId === req.user.id)
+    .filter(a => !q || searchKey(a.characterName).includes(q) || searchKey(a.characterEra).includes(q))
+    .filter(a => !era || searchKey(a.characterEra).includes(era))
+    .sort((a, b) => order * ((a.createdAt || 0) - (b.createdAt || 0)));
+
+  const total = matches.length;
+  const pages = Math.max(1, Math.ceil(total / limit));
+  const page = Math.min(parseInt(req.query.page) > 0 ? parseInt(req.query.page) : 1, pages);
+
+  const items = matches.slice((page - 1) * limit, page * limit).map(a => ({
     id: a.id,
     characterName: a.characterName || 'Vị Tướng',
     characterEra: a.characterEra || '',
     characterHeight: a.characterHeight || 170,
+    thumbnail: assetThumbnails(a).thumbnail,
+    published: a.published !== false,
     createdAt: a.createdAt
   }));
-  res.json(list);
+  res.json({ items, total, page, limit, pages });
+});
+
+app.get('/gallery', (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, 'gallery.html'));
 });
 
 // ═══════════════════════════════════════════════════════════════════
-// API: Check if user is near a historical site (for location-based unlock)
+// QR CODES & PRINT SHEETS: Server-rendered codes (lib/qrCodes.js)
+//   GET /api/asset/:id/qr.png|svg, /api/collection/:id/qr.png|svg
+//       ?size=512&margin=2&ecc=L|M|Q|H&logo=1
+//   GET /api/print-sheet?ids=a,b,c | ?collection=<id>  → printable card sheet
+// PUBLIC_BASE_URL pins the host encoded in the codes (printed cards outlive
+// whatever host they were generated from); default: the request's host.
 // ═══════════════════════════════════════════════════════════════════
-const HISTORICAL_SITES = [
-  { id: 'rach-gam', name: 'Rạch Gầm - Xoài Mút', lat: 10.35, lng: 106.52, radius: 2000 },
-  { id: 'bach-dang', name: 'Sông Bạch Đằng', lat: 20.93, lng: 106.73, radius: 2000 },
-  { id: 'chi-lang', name: 'Ải Chi Lăng', lat: 21.58, lng: 106.57, radius: 2000 },
-  { id: 'dong-da', name: 'Gò Đống Đa', lat: 21.01, lng: 105.83, radius: 1000 },
-  { id: 'nhu-nguyet', name: 'Sông Như Nguyệt', lat: 21.22, lng: 106.07, radius: 2000 },
-  { id: 'van-kiep', name: 'Vạn Kiếp', lat: 21.1, lng: 106.48, radius: 2000 },
-  { id: 'lam-son', name: 'Lam Sơn', lat: 20.02, lng: 105.62, radius: 2000 },
-  { id: 'hoa-lu', name: 'Cố đô Hoa Lư', lat: 20.28, lng: 105.92, radius: 1500 }
-];
+const MAX_PRINT_CARDS = 180; // 20 A4 pages
+
+function publicBaseUrl(req) {
+  const configured = (process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+  return configured || `${req.protocol}://${req.get('host')}`;
+}
+
+async function sendQR(req, res, targetUrl) {
+  const options = parseQROptions(req.query);
+  if (options.error) return res.status(400).json({ error: options.error });
+  try {
+    const body = await renderQR(targetUrl, req.params.format, options);
+    res.setHeader('Content-Type', req.params.format === 'svg' ? 'image/svg+xml' : 'image/png');
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.send(body);
+  } catch (e) {
+    console.error(`🔳 QR render failed for ${targetUrl}:`, e.message);
+    res.status(500).json({ error: 'QR render failed' });
+  }
+}
+
+app.get('/api/asset/:id/qr.:format(png|svg)', (req, res) => {
+  if (!canSeeAsset(req, assets.get(req.params.id))) return res.status(404).json({ error: 'Not found' });
+  sendQR(req, res, `${publicBaseUrl(req)}/view/${req.params.id}`);
+});
+
+app.get('/api/collection/:id/qr.:format(png|svg)', (req, res) => {
+  if (!collections.has(req.params.id)) return res.status(404).json({ error: 'Not found' });
+  sendQR(req, res, `${publicBaseUrl(req)}/collection/${req.params.id}`);
+});
+
+app.get('/api/print-sheet', (req, res) => {
+  const options = parseQROptions({ logo: '1', ...req.query });
+  if (options.error) return res.status(400).json({ error: options.error });
+
+  let title = 'WEBAR';
+  let ids;
+  if (req.query.collection) {
+    const collection = collections.get(String(req.query.collection));
+    if (!collection) return res.status(404).json({ error: 'Collection not found' });
+    title = collection.title;
+    ids = (collection.assetIds || []).filter(id => canSeeAsset(req, assets.get(id)));
+  } else {
+    const parsed = parseAssetIds(req.query.ids);
+    // Unpublished assets look unknown to anonymous requests, as everywhere else
+    parsed.unknown.push(...parsed.ids.filter(id => !parsed.unknown.includes(id) && !canSeeAsset(req, assets.get(id))));
+    if (parsed.unknown.length > 0) return res.status(400).json({ error: 'Unknown asset ids', unknown: parsed.unknown });
+    ids = parsed.ids;
+  }
+  if (ids.length === 0) return res.status(400).json({ error: 'ids or collection is required' });
+  if (ids.length > MAX_PRINT_CARDS) return res.status(400).json({ error: `At most ${MAX_PRINT_CARDS} cards per sheet` });
+
+  // Printed at 40mm — 600px keeps the modules crisp at 300dpi
+  const qrQuery = new URLSearchParams({ size: 600, margin: options.margin, ecc: options.errorCorrection, logo: options.logo ? 1 : 0 });
+  const base = publicBaseUrl(req);
+  const cards = ids.map(id => assets.get(id)).map(a => ({
+    name: a.characterName || 'Vị Tướng',
+    era: a.characterEra || '',
+    qrUrl: `/api/asset/${encodeURIComponent(a.id)}/qr.svg?${qrQuery}`,
+    viewUrl: `${base}/view/${a.id}`
+  }));
+  res.type('html').send(renderPrintSheet({ title, cards }));
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// API: Optimization profiles (for the upload form's profile picker)
+// ═══════════════════════════════════════════════════════════════════
+app.get('/api/optimization-profiles', (req, res) => {
+  res.json(listProfiles());
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// API: Device capability reports from the viewer's probe (analytics)
+// One document per viewer load: score/tier, the variant it picked and the
+// raw measurements, so the tier thresholds can be tuned from real devices.
+// Anyone can post, so each client address gets DEVICE_REPORTS_PER_HOUR and the
+// collection keeps at most DEVICE_REPORTS_MAX reports younger than
+// DEVICE_REPORT_MAX_AGE_DAYS. It is left out of the db snapshot.
+// ═══════════════════════════════════════════════════════════════════
+const DEVICE_TIERS = ['high', 'mid', 'low'];
+const MODEL_VARIANTS = ['desktop', 'mobile', 'preview'];
+const DEVICE_REPORTS_PER_HOUR = 20;
+const DEVICE_REPORTS_MAX = parseInt(process.env.DEVICE_REPORTS_MAX) || 20000;
+const DEVICE_REPORT_MAX_AGE_DAYS = parseInt(process.env.DEVICE_REPORT_MAX_AGE_DAYS) || 90;
+const DEVICE_REPORT_PRUNE_EVERY = 200; // inserts between prunes (plus the hourly sweep)
+const deviceReportCounts = new Map();  // clientAddress → { count, resetAt }
+let deviceReportsSincePrune = 0;
+
+// Oldest first past the age limit or the row cap
+function pruneDeviceReports() {
+  deviceReportsSincePrune = 0;
+  const cutoff = Date.now() - DEVICE_REPORT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  const list = deviceReports.list().sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  const excess = Math.max(0, list.length - DEVICE_REPORTS_MAX);
+  let removed = 0;
+  list.forEach((r, i) => {
+    if ((i < excess || (r.createdAt || 0) < cutoff) && deviceReports.remove(r.id)) removed++;
+  });
+  if (removed > 0) console.log(`📊 Pruned ${removed} old device report(s)`);
+  return removed;
+}
+
+function allowDeviceReport(req) {
+  const now = Date.now();
+  for (const [key, entry] of deviceReportCounts) if (entry.resetAt <= now) deviceReportCounts.delete(key);
+  const key = clientAddress(req);
+  const entry = deviceReportCounts.get(key) || { count: 0, resetAt: now + 60 * 60 * 1000 };
+  entry.count++;
+  deviceReportCounts.set(key, entry);
+  return entry.count <= DEVICE_REPORTS_PER_HOUR ? 0 : Math.ceil((entry.resetAt - now) / 1000);
+}
+
+function numberOrNull(value, max) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.min(n, max) : null;
+}
+
+app.post('/api/device-report', (req, res) => {
+  const body = req.body || {};
+  const score = numberOrNull(body.score, 100);
+  if (score === null || !DEVICE_TIERS.includes(body.tier) || !MODEL_VARIANTS.includes(body.variant)) {
+    return res.status(400).json({ error: 'score, tier (high|mid|low) and variant (desktop|mobile|preview) are required' });
+  }
+  const retryAfter = allowDeviceReport(req);
+  if (retryAfter) {
+    res.setHeader('Retry-After', retryAfter);
+    return res.status(429).json({ error: 'Too many device reports', retryAfter });
+  }
+  const report = deviceReports.put({
+    id: nanoid(12),
+    assetId: typeof body.assetId === 'string' && assets.has(body.assetId) ? body.assetId : null,
+    score,
+    tier: body.tier,
+    variant: body.variant,
+    gpu: String(body.gpu || '').slice(0, 200),
+    maxTextureSize: numberOrNull(body.maxTextureSize, 65536),
+    deviceMemory: numberOrNull(body.deviceMemory, 1024),
+    cores: numberOrNull(body.cores, 1024),
+    frameMs: numberOrNull(body.frameMs, 10000),
+    screen: String(body.screen || '').slice(0, 40),
+    userAgent: String(body.userAgent || req.get('user-agent') || '').slice(0, 300),
+    createdAt: Date.now()
+  });
+  if (++deviceReportsSincePrune >= DEVICE_REPORT_PRUNE_EVERY) pruneDeviceReports();
+  res.status(201).json({ id: report.id });
+});
 
+// Counts per tier / variant, average score and the most common GPUs (?assetId= to filter)
+app.get('/api/device-reports/summary', requireAdmin, (req, res) => {
+  let list = deviceReports.list();
+  if (req.query.assetId) list = list.filter(r => r.assetId === req.query.assetId);
+  const countBy = (key) => list.reduce((acc, r) => { acc[r[key]] = (acc[r[key]] || 0) + 1; return acc; }, {});
+  const gpus = Object.entries(countBy('gpu'))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 20)
+    .map(([gpu, count]) => ({ gpu: gpu || '(unknown)', count }));
+  res.json({
+    total: list.length,
+    averageScore: list.length ? Math.round(list.reduce((n, r) => n + r.score, 0) / list.length) : null,
+    tiers: countBy('tier'),
+    variants: countBy('variant'),
+    gpus
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// ADMIN DASHBOARD: Every asset's files, optimizer state and object storage backup (admin)
+//   GET  /api/admin/assets                  per-asset sizes, state, failure reason
+//   GET  /api/admin/storage                 disk usage, queue counts, object storage status
+//   POST /api/admin/assets/:id/reoptimize   rebuild the variants (forced job)
+//   POST /api/admin/assets/:id/backup       upload original + variants to object storage again
+// Unpublishing goes through PATCH /api/asset/:id (admins pass its guard).
+// ═══════════════════════════════════════════════════════════════════
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Recursive { bytes, files } of a directory (skip: sub-directories counted separately)
+function directoryUsage(dir, skip = []) {
+  const usage = { bytes: 0, files: 0 };
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return usage;
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (skip.includes(full)) continue;
+      const sub = directoryUsage(full, skip);
+      usage.bytes += sub.bytes;
+      usage.files += sub.files;
+    } else if (entry.isFile()) {
+      usage.bytes += fileSize(full) || 0;
+      usage.files++;
+    }
+  }
+  return usage;
+}
+
+// optimized: variants on disk · optimizing / queued: job active · failed: last job failed
+// pending: nothing built yet · unsupported: no GLB to optimize (e.g. FBX not converted)
+function optimizationState(asset, job, optimizedExists) {
+  if (job && job.status === 'running') return 'optimizing';
+  if (job && job.status === 'queued') return 'queued';
+  if (optimizedExists || asset.blobUrl) return 'optimized';
+  if ((job && job.status === 'failed') || asset.optimizeError) return 'failed';
+  return /\.(glb|gltf)$/i.test(assetModelFile(asset) || '') ? 'pending' : 'unsupported';
+}
+
+function adminAssetReport(asset) {
+  const modelFile = assetModelFile(asset);
+  const job = optimizeQueue.get(asset.id);
+  const sizes = { original: null, optimized: null, mobile: null, mobileKtx2: null, preview: null, lods: null };
+  if (modelFile) {
+    const ext = path.extname(modelFile);
+    const base = modelFile.slice(0, -ext.length);
+    sizes.original = fileSize(path.join(UPLOADS_DIR, modelFile)) || asset.rawModelSize || null;
+    sizes.optimized = fileSize(path.join(OPTIMIZED_DIR, modelFile)) || asset.blobOptimizedSize || null;
+    sizes.mobile = fileSize(path.join(OPTIMIZED_DIR, `${base}.mobile${ext}`));
+    sizes.mobileKtx2 = fileSize(path.join(OPTIMIZED_DIR, `${base}.mobile.ktx2${ext}`));
+    sizes.preview = fileSize(path.join(OPTIMIZED_DIR, `${base}.preview${ext}`));
+    if (asset.lods) sizes.lods = asset.lods.slice(1).reduce((n, l) => n + (l.size || 0), 0);
+  }
+  const { local } = assetFiles(asset);
+  const owner = asset.ownerId ? users.get(asset.ownerId) : null;
+  return {
+    id: asset.id,
+    characterName: asset.characterName || 'Vị Tướng',
+    thumbnail: assetThumbnails(asset).thumbnail,
+    published: asset.published !== false,
+    owner: owner ? owner.username : null,
+    modelFile,
+    // Original only in object storage = this container lost its disk (cold deploy)
+    originalOnDisk: !!modelFile && fs.existsSync(path.join(UPLOADS_DIR, modelFile)),
+    sizes,
+    diskBytes: local.reduce((n, f) => n + (fileSize(f) || 0), 0),
+    optimizationProfile: resolveProfile(asset.optimizationProfile).name,
+    optimizedProfile: asset.optimizedProfile || null,
+    state: optimizationState(asset, job, !!modelFile && fs.existsSync(path.join(OPTIMIZED_DIR, modelFile))),
+    error: (job && job.error) || asset.optimizeError || null,
+    job: optimizeJobInfo(job),
+    backup: {
+      original: !!asset.blobOriginalUrl,
+      optimized: !!asset.blobUrl,
+      mobile: !!asset.blobMobileUrl,
+      preview: !!asset.blobPreviewUrl
+    },
+    accessRevoked: !!asset.accessRevoked,
+    createdAt: asset.createdAt,
+    optimizedAt: asset.optimizedAt || null
+  };
+}
+
+app.get('/api/admin/assets', requireAdmin, (req, res) => {
+  const items = assets.list()
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+    .map(adminAssetReport);
+  const states = items.reduce((acc, a) => { acc[a.state] = (acc[a.state] || 0) + 1; return acc; }, {});
+  res.json({ items, total: items.length, states });
+});
+
+app.get('/api/admin/storage', requireAdmin, (req, res) => {
+  const uploads = directoryUsage(UPLOADS_DIR, [OPTIMIZED_DIR]);
+  const optimized = directoryUsage(OPTIMIZED_DIR);
+  const data = directoryUsage(DATA_DIR);
+  const jobs = optimizeQueue.list().reduce((acc, j) => { acc[j.status] = (acc[j.status] || 0) + 1; return acc; }, {});
+  res.json({
+    disk: {
+      uploads,
+      optimized,
+      data,
+      totalBytes: uploads.bytes + optimized.bytes + data.bytes
+    },
+    jobs,
+    backup: {
+      configured: !!objectStorage,
+      driver: objectStorage ? objectStorage.name : null,
+      label: objectStorage ? objectStorage.label : null,
+      backedUp: assets.list().filter(a => a.blobOriginalUrl).length
+    },
+    assets: assets.list().length
+  });
+});
+
+app.post('/api/admin/assets/:id/reoptimize', requireAdmin, (req, res) => {
+  const asset = assets.get(req.params.id);
+  if (!asset) return res.status(404).json({ error: 'Not found' });
+  // Converted FBX whose GLB is gone: the job converts again from the kept source file
+  let modelFile = assetModelFile(asset);
+  if (asset.sourceModel && (!modelFile || !fs.existsSync(path.join(UPLOADS_DIR, modelFile)))) {
+    modelFile = path.basename(asset.sourceModel);
+  }
+  if (!modelFile || !/\.(glb|gltf|fbx)$/i.test(modelFile)) return res.status(400).json({ error: 'This asset has no model the optimizer can process' });
+  if (!fs.existsSync(path.join(UPLOADS_DIR, modelFile))) {
+    return res.status(409).json({ error: 'The original model is not on this server (only in object storage) — it cannot be re-optimized here' });
+  }
+  if (optimizeQueue.isActive(asset.id)) return res.status(409).json({ error: 'Optimization is already queued or running', job: optimizeJobInfo(optimizeQueue.get(asset.id)) });
+
+  const job = enqueueOptimization(asset.id, modelFile, { force: true });
+  console.log(`🛠️ ${req.user.username} re-queued optimization for ${asset.id}`);
+  res.status(202).json({ id: asset.id, job: optimizeJobInfo(optimizeQueue.get(job.id)) });
+});
+
+app.post('/api/admin/assets/:id/backup', requireAdmin, async (req, res) => {
+  const asset = assets.get(req.params.id);
+  if (!asset) return res.status(404).json({ error: 'Not found' });
+  if (!objectStorage) return res.status(503).json({ error: 'Object storage is not configured (STORAGE_DRIVER)' });
+  const modelFile = assetModelFile(asset);
+  const originalPath = modelFile ? path.join(UPLOADS_DIR, modelFile) : null;
+  if (!originalPath || !fs.existsSync(originalPath)) {
+    return res.status(409).json({ error: 'The original model is not on this server — nothing to upload' });
+  }
+
+  try {
+    console.log(`🛠️ ${req.user.username} re-uploading ${asset.id} to ${objectStorage.name}`);
+    const originalKey = await uploadToBlob(originalPath, `originals/${modelFile}`);
+    if (originalKey) assets.update(asset.id, a => { a.blobOriginalUrl = originalKey; });
+    if (asset.sourceModel) {
+      const sourceFile = path.basename(asset.sourceModel);
+      const sourceKey = await uploadToBlob(path.join(UPLOADS_DIR, sourceFile), `originals/${sourceFile}`);
+      if (sourceKey) assets.update(asset.id, a => { a.blobSourceUrl = sourceKey; });
+    }
+    if (fs.existsSync(path.join(OPTIMIZED_DIR, modelFile))) await uploadVariantsToStorage(modelFile, asset.id);
+    const updated = assets.get(asset.id);
+    if (!updated) return res.status(404).json({ error: 'Not found' });
+    if (!originalKey) return res.status(502).json({ error: 'Object storage upload failed — see the server log', ...adminAssetReport(updated) });
+    res.json(adminAssetReport(updated));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Backup failed' });
+  }
+});
+
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, 'admin.html'));
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// HISTORICAL SITES & QUIZ: One managed dataset (lib/sites.js) for /api/nearby
+// and the viewer's challenges. Public reads, admin-only writes (admin role).
+// Public reads leave out each question's `correct` index — answers are checked
+// by POST /api/challenge/:siteId/answer. Admin requests get the full documents.
+// An empty 'sites' collection is seeded from historical-sites.json once the
+// storage snapshot has been restored — so restored edits always win over the seed.
+// ═══════════════════════════════════════════════════════════════════
+function publicSite(site) {
+  return { ...site, questions: (site.questions || []).map(({ correct, ...q }) => q) };
+}
+
+function listSites() {
+  return sites.list().sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0) || a.id.localeCompare(b.id));
+}
+
+function seedSites() {
+  if (sites.list().length > 0) return;
+  const seed = loadSeedSites();
+  const now = Date.now();
+  seed.forEach((site, i) => sites.put({ ...site, createdAt: now + i })); // createdAt keeps the file's order
+  if (seed.length > 0) console.log(`🗺️ Seeded ${seed.length} historical sites`);
+}
+
+app.get('/api/sites', (req, res) => {
+  const list = listSites();
+  res.json(auth.hasRole(req.user, 'admin') ? list : list.map(publicSite));
+});
+
+app.get('/api/sites/:id', (req, res) => {
+  const site = sites.get(req.params.id);
+  if (!site) return res.status(404).json({ error: 'Not found' });
+  res.json(auth.hasRole(req.user, 'admin') ? site : publicSite(site));
+});
+
+app.post('/api/sites', requireAdmin, (req, res) => {
+  const { site, errors } = normalizeSite(req.body);
+  if (!site) return res.status(400).json({ error: 'Invalid site', details: errors });
+  if (sites.has(site.id)) return res.status(409).json({ error: `Site "${site.id}" already exists` });
+  const saved = sites.put({ ...site, createdAt: Date.now() });
+  console.log(`🗺️ Site ${site.id} created (${site.questions.length} questions)`);
+  res.status(201).json(saved);
+});
+
+// Partial update: given fields replace the stored ones (questions as a whole list)
+app.patch('/api/sites/:id', requireAdmin, (req, res) => {
+  const current = sites.get(req.params.id);
+  if (!current) return res.status(404).json({ error: 'Not found' });
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const { site, errors } = normalizeSite({ ...current, ...body, id: current.id });
+  if (!site) return res.status(400).json({ error: 'Invalid site', details: errors });
+  const saved = sites.put({ ...current, ...site });
+  console.log(`✏️ Site ${site.id} updated: ${Object.keys(body).join(', ') || 'nothing'}`);
+  res.json(saved);
+});
+
+app.delete('/api/sites/:id', requireAdmin, (req, res) => {
+  if (!sites.remove(req.params.id)) return res.status(404).json({ error: 'Not found' });
+  console.log(`🗑️ Site ${req.params.id} deleted`);
+  res.json({ id: req.params.id, deleted: true });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// CHALLENGES: Server-checked quiz answers → signed unlock records
+//   POST /api/challenge/:siteId/answer  { question: index, answer: index, lat?, lng? }
+//   → { correct: true, correctIndex, unlock } | { correct: false, retryAfter }
+// CHALLENGE_GEOFENCE=true also requires lat/lng within the site's radius (checked
+// before the answer, so a missing location never costs an attempt).
+// A wrong answer locks that site for CHALLENGE_RETRY_MS (per client address, see
+// clientAddress) and never says which option was right — that would hand out the
+// unlock on the next request.
+//
+// Unlock record: { v, id, siteId, general, reward, unlockedAt, signature }
+// signature = HMAC-SHA256 over JSON [v, id, siteId, general, reward, unlockedAt], so the text a
+// verified record shows is the text the server issued. v1 records didn't cover general / reward.
+// Key: UNLOCK_SECRET, or one generated on first use and kept in the 'secrets' collection.
+// ═══════════════════════════════════════════════════════════════════
+const UNLOCK_RECORD_VERSION = 2;
+const CHALLENGE_RETRY_MS = parseInt(process.env.CHALLENGE_RETRY_MS) >= 0 ? parseInt(process.env.CHALLENGE_RETRY_MS) : 30 * 1000;
+const MAX_VERIFY_UNLOCKS = 200;
+const challengeCooldowns = new Map(); // `${clientAddress}|${siteId}` → retry allowed at (ms)
+
+let unlockKeyWarned = false;
+function unlockSigningKey() {
+  if (process.env.UNLOCK_SECRET) return process.env.UNLOCK_SECRET;
+  let stored = secrets.get('unlock-signing-key');
+  if (!stored) {
+    stored = secrets.put({ id: 'unlock-signing-key', key: crypto.randomBytes(32).toString('hex'), createdAt: Date.now() });
+  }
+  if (!unlockKeyWarned) {
+    console.log('🔏 UNLOCK_SECRET not set — signing unlocks with a generated key stored in the database');
+    unlockKeyWarned = true;
+  }
+  return stored.key;
+}
+
+function unlockSignature(record) {
+  return crypto.createHmac('sha256', unlockSigningKey())
+    .update(JSON.stringify([record.v, record.id, record.siteId, record.general ?? null, record.reward ?? null, record.unlockedAt]))
+    .digest('hex');
+}
+
+function issueUnlock(site) {
+  const record = {
+    v: UNLOCK_RECORD_VERSION,
+    id: nanoid(12),
+    siteId: site.id,
+    general: site.general,
+    reward: site.reward,
+    unlockedAt: Date.now()
+  };
+  record.signature = unlockSignature(record);
+  return record;
+}
+
+function verifyUnlock(record) {
+  if (!record || typeof record !== 'object' || record.v !== UNLOCK_RECORD_VERSION) return false;
+  if (typeof record.signature !== 'string' || !/^[0-9a-f]{64}$/.test(record.signature)) return false;
+  const expected = Buffer.from(unlockSignature(record), 'hex');
+  return crypto.timingSafeEqual(Buffer.from(record.signature, 'hex'), expected);
+}
+
+function distanceToSite(site, lat, lng) {
+  return haversineDistance(lat, lng, site.lat, site.lng);
+}
+
+app.post('/api/challenge/:siteId/answer', (req, res) => {
+  const site = sites.get(req.params.siteId);
+  if (!site) return res.status(404).json({ error: 'Not found' });
+  const body = req.body || {};
+
+  const questionIndex = Number(body.question);
+  const question = Number.isInteger(questionIndex) ? (site.questions || [])[questionIndex] : null;
+  if (!question) return res.status(400).json({ error: 'question must be an index into the site\'s questions' });
+  const answer = Number(body.answer);
+  if (!Number.isInteger(answer) || answer < 0 || answer >= question.options.length) {
+    return res.status(400).json({ error: `answer must be an index into the options (0–${question.options.length - 1})` });
+  }
+
+  if (formFlag(process.env.CHALLENGE_GEOFENCE)) {
+    const lat = parseFloat(body.lat);
+    const lng = parseFloat(body.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      return res.status(403).json({ error: 'Location required for this challenge', locationRequired: true });
+    }
+    const distance = Math.round(distanceToSite(site, lat, lng));
+    if (distance > site.radius) {
+      return res.status(403).json({ error: 'Too far from the site', distance, radius: site.radius });
+    }
+  }
+
+  const now = Date.now();
+  const cooldownKey = `${clientAddress(req)}|${site.id}`;
+  const retryAt = challengeCooldowns.get(cooldownKey) || 0;
+  if (retryAt > now) {
+    const retryAfter = Math.ceil((retryAt - now) / 1000);
+    res.setHeader('Retry-After', retryAfter);
+    return res.status(429).json({ error: 'Too many attempts — try again later', retryAfter });
+  }
+
+  if (answer !== question.correct) {
+    for (const [key, until] of challengeCooldowns) if (until <= now) challengeCooldowns.delete(key);
+    if (CHALLENGE_RETRY_MS > 0) challengeCooldowns.set(cooldownKey, now + CHALLENGE_RETRY_MS);
+    return res.json({ correct: false, retryAfter: Math.ceil(CHALLENGE_RETRY_MS / 1000) });
+  }
+
+  challengeCooldowns.delete(cooldownKey);
+  const unlock = issueUnlock(site);
+  console.log(`🏆 Site ${site.id} unlocked (${unlock.id})`);
+  res.json({ correct: true, correctIndex: question.correct, unlock });
+});
+
+// { unlocks: [record] } → { results: [{ id, siteId, valid }] }, in the same order
+app.post('/api/unlocks/verify', (req, res) => {
+  const unlocks = req.body && req.body.unlocks;
+  if (!Array.isArray(unlocks)) return res.status(400).json({ error: 'unlocks must be an array' });
+  if (unlocks.length > MAX_VERIFY_UNLOCKS) return res.status(400).json({ error: `At most ${MAX_VERIFY_UNLOCKS} unlocks per request` });
+  res.json({
+    results: unlocks.map(r => ({
+      id: r && r.id || null,
+      siteId: r && r.siteId || null,
+      valid: verifyUnlock(r)
+    }))
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// API: Check if user is near a historical site (for location-based unlock)
+// ═══════════════════════════════════════════════════════════════════
 function haversineDistance(lat1, lon1, lat2, lon2) {
   const R = 6371000;
   const dLat = (lat2 - lat1) * Math.PI / 180;
@@ -721,8 +2689,8 @@ app.get('/api/nearby', (req, res) => {
   const userLat = parseFloat(lat);
   const userLng = parseFloat(lng);
 
-  const nearby = HISTORICAL_SITES.map(site => {
-    const dist = haversineDistance(userLat, userLng, site.lat, site.lng);
+  const nearby = listSites().map(({ questions, ...site }) => {
+    const dist = distanceToSite(site, userLat, userLng);
     return { ...site, distance: Math.round(dist), isNear: dist <= site.radius };
   }).sort((a, b) => a.distance - b.distance);
 
@@ -741,6 +2709,14 @@ process.on('unhandledRejection', (reason, promise) => {
   console.error('🔥 Unhandled Rejection (server still running):', reason);
 });
 
+// Flush a last DB snapshot to object storage before the platform stops the container
+process.on('SIGTERM', () => {
+  console.log('👋 SIGTERM — saving DB snapshot before exit');
+  saveDBSnapshot()
+    .catch(() => {})
+    .finally(() => { repo.close(); process.exit(0); });
+});
+
 const PORT = process.env.PORT || 3000;
 
 // Get local LAN IP for mobile/device testing
@@ -760,37 +2736,49 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`  LAN:     http://${lanIP}:${PORT}`);
   console.log(`  Debug:   http://${lanIP}:${PORT}/debug-upload.html\n`);
 
-  // Load DB from Azure Blob in background (don't block server startup)
-  loadDBFromAzure().catch(e => console.log('DB load error:', e.message));
+  // Restore from the storage snapshot in background (don't block server startup),
+  // then back up periodically and start working the queue
+  loadDBSnapshot()
+    .catch(e => console.log('DB load error:', e.message))
+    .finally(() => {
+      // Jobs a previous process left 'running' go back to the queue — after the
+      // import, since the snapshot can bring back jobs that were running when it was taken
+      const recovered = optimizeQueue.recover();
+      if (recovered > 0) console.log(`🔄 Re-queued ${recovered} interrupted optimization job(s)`);
+      normalizeStoredKeys();
+      seedSites();
+      sweepUploadSessions();
+      setInterval(sweepUploadSessions, 60 * 60 * 1000).unref();
+      pruneDeviceReports();
+      setInterval(pruneDeviceReports, 60 * 60 * 1000).unref();
+      startDBSnapshots();
+      queueMissingOptimizations();
+      optimizeQueue.start();
+    });
+});
 
-  // ── STARTUP SCAN: Re-trigger optimization for any models missing optimized files
-  // This covers the case where Railway restarted and lost in-memory state
-  setTimeout(() => {
-    try {
-      const db = getDB();
-      const pending = Object.entries(db).filter(([, asset]) => {
-        if (!asset.model) return false;
-        const modelFile = path.basename(asset.model);
-        if (!modelFile.endsWith('.glb')) return false;
-        const optimizedPath = path.join(OPTIMIZED_DIR, modelFile);
-        const originalPath = path.join(UPLOADS_DIR, modelFile);
-        return !fs.existsSync(optimizedPath) && fs.existsSync(originalPath);
-      });
-      if (pending.length === 0) {
-        console.log('✅ Startup scan: all models already optimized');
-        return;
-      }
-      console.log(`🔄 Startup scan: ${pending.length} model(s) need optimization`);
-      // Stagger each optimization 8s apart to avoid RAM spikes
-      pending.forEach(([id, asset], i) => {
-        const modelFile = path.basename(asset.model);
-        setTimeout(() => spawnOptimizer(modelFile, id), i * 8000);
-      });
-    } catch (e) {
-      console.log('Startup scan error:', e.message);
+// ── STARTUP SCAN: Queue GLBs that have no optimized files and no job yet
+// (e.g. uploaded before the queue existed, or a job finished on a lost container)
+function queueMissingOptimizations() {
+  try {
+    let queued = 0;
+    for (const asset of assets.list()) {
+      const modelFile = assetModelFile(asset);
+      if (!modelFile || !/\.(glb|fbx)$/i.test(modelFile)) continue; // FBX = not converted yet
+      if (fs.existsSync(path.join(OPTIMIZED_DIR, modelFile))) continue;
+      if (!fs.existsSync(path.join(UPLOADS_DIR, modelFile))) continue;
+      const job = optimizeQueue.get(asset.id);
+      if (job && job.status !== 'done') continue; // queued/running/failed — leave as is
+      enqueueOptimization(asset.id, modelFile, { force: true });
+      queued++;
     }
-  }, 8000); // wait 8s — give Azure DB time to load first
-});
+    console.log(queued > 0
+      ? `🔄 Startup scan: ${queued} model(s) queued for optimization`
+      : '✅ Startup scan: all models already optimized');
+  } catch (e) {
+    console.log('Startup scan error:', e.message);
+  }
+}
 
 // Set server timeout to 10 minutes for large 3D model uploads
 server.timeout = 10 * 60 * 1000; // 10 minutes
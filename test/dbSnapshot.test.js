@@ -0,0 +1,71 @@
+// ═══════════════════════════════════════════════════════════════════
+// DB SNAPSHOT MERGE: a restore never brings back a record deleted after the
+// backup was taken, on either driver.
+// ═══════════════════════════════════════════════════════════════════
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openRepository } = require('../lib/db');
+
+for (const driver of ['sqlite', 'json']) {
+  describe(`${driver} driver`, () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), `webar-db-${driver}-`));
+    let n = 0;
+    const open = (options = {}) => {
+      const dataDir = path.join(tmp, String(n++));
+      return openRepository({ driver, dataDir, legacyFile: path.join(dataDir, 'db.json'), ...options });
+    };
+    after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+    test('a record deleted after the snapshot stays deleted on restore', () => {
+      const repo = open();
+      const tokens = repo.collection('authTokens');
+      tokens.put({ id: 'user1:t1', userId: 'user1' });
+      tokens.put({ id: 'user1:t2', userId: 'user1' });
+      const backup = JSON.parse(JSON.stringify(repo.snapshot()));
+
+      tokens.remove('user1:t1'); // revoked, then the process dies before the next snapshot
+      assert.equal(repo.importSnapshot(backup), 0);
+      assert.equal(tokens.get('user1:t1'), null);
+      assert.ok(tokens.get('user1:t2'));
+      repo.close();
+    });
+
+    test('a deletion carried by the snapshot removes the older local copy', () => {
+      const source = open();
+      const target = open();
+      target.collection('users').put({ id: 'u1', username: 'alice' });
+      const copy = target.collection('users').get('u1');
+      source.collection('users').put(copy);
+      source.collection('users').remove('u1');
+
+      assert.equal(target.importSnapshot(source.snapshot()), 1);
+      assert.equal(target.collection('users').get('u1'), null);
+      source.close();
+      target.close();
+    });
+
+    test('a record written again after its deletion is restored', () => {
+      const repo = open();
+      const sites = repo.collection('sites');
+      sites.put({ id: 'bach-dang', name: 'old' });
+      sites.remove('bach-dang');
+      const rewritten = { id: 'bach-dang', name: 'new', updatedAt: Date.now() + 1000 };
+
+      assert.equal(repo.importSnapshot({ version: 2, collections: { sites: { 'bach-dang': rewritten } } }), 1);
+      assert.equal(sites.get('bach-dang').name, 'new');
+      repo.close();
+    });
+
+    test('local collections leave no tombstones', () => {
+      const repo = open({ localCollections: ['deviceReports'] });
+      repo.collection('deviceReports').put({ id: 'r1' });
+      repo.collection('deviceReports').remove('r1');
+      assert.deepEqual(repo.collection('_tombstones').list(), []);
+      assert.equal(repo.revision, 0);
+      repo.close();
+    });
+  });
+}
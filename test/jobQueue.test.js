@@ -0,0 +1,69 @@
+// ═══════════════════════════════════════════════════════════════════
+// JOB QUEUE: nothing runs before start(), and a timed-out attempt gives up
+// its slot even when the worker never settles.
+// ═══════════════════════════════════════════════════════════════════
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openRepository } = require('../lib/db');
+const { createJobQueue } = require('../lib/jobQueue');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'webar-jobs-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+let n = 0;
+function jobStore() {
+  const dataDir = path.join(tmp, String(n++));
+  return openRepository({ driver: 'json', dataDir, legacyFile: path.join(dataDir, 'db.json') }).collection('jobs');
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function settled(queue, id, timeoutMs = 2000) {
+  const until = Date.now() + timeoutMs;
+  while (Date.now() < until) {
+    const job = queue.get(id);
+    if (job && (job.status === 'done' || job.status === 'failed')) return job;
+    await sleep(10);
+  }
+  throw new Error(`Job ${id} did not settle`);
+}
+
+test('jobs enqueued before start() wait for it', async () => {
+  const ran = [];
+  const queue = createJobQueue({ store: jobStore(), worker: async (job) => { ran.push(job.id); } });
+  queue.enqueue('a');
+  await sleep(50);
+  assert.deepEqual(ran, []);
+  assert.equal(queue.get('a').status, 'queued');
+
+  queue.start();
+  assert.equal((await settled(queue, 'a')).status, 'done');
+  assert.deepEqual(ran, ['a']);
+});
+
+test('a timed-out attempt frees its slot even if the worker never settles', async () => {
+  let cancels = 0;
+  const queue = createJobQueue({
+    store: jobStore(),
+    concurrency: 1,
+    maxAttempts: 1,
+    timeoutMs: 100,
+    worker: (job, ctx) => {
+      if (job.id === 'next') return Promise.resolve();
+      ctx.onCancel(() => { cancels++; }); // a hook that doesn't stop the hang
+      return new Promise(() => {});
+    }
+  });
+  queue.start();
+  queue.enqueue('hang');
+  queue.enqueue('next');
+
+  const hung = await settled(queue, 'hang');
+  assert.equal(hung.status, 'failed');
+  assert.match(hung.error, /Timed out/);
+  assert.equal(cancels, 1);
+  assert.equal((await settled(queue, 'next')).status, 'done');
+});
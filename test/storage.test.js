@@ -0,0 +1,120 @@
+// ═══════════════════════════════════════════════════════════════════
+// OBJECT STORAGE CONTRACT: every driver answers the lib/storage API the same way.
+// Runs against the local driver and the S3 driver on an in-process s3rver
+// (a MinIO-style stand-in), so no cloud account is needed.
+// ═══════════════════════════════════════════════════════════════════
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const S3rver = require('s3rver');
+const { openStorage } = require('../lib/storage');
+
+const BUCKET = 'webar-test';
+
+function contract(name, setup) {
+  describe(`${name} driver`, () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), `webar-${name}-`));
+    let storage;
+    let teardown = async () => {};
+
+    before(async () => {
+      const driver = await setup(tmp);
+      storage = driver.storage;
+      if (driver.teardown) teardown = driver.teardown;
+    });
+    after(async () => {
+      await teardown();
+      fs.rmSync(tmp, { recursive: true, force: true });
+    });
+
+    test('putFile / getBuffer / stat round-trip', async () => {
+      const source = path.join(tmp, 'model.glb');
+      fs.writeFileSync(source, Buffer.from('glTF fake model'));
+      await storage.putFile('originals/abc-model.glb', source);
+      assert.deepEqual(await storage.getBuffer('originals/abc-model.glb'), Buffer.from('glTF fake model'));
+      assert.deepEqual(await storage.stat('originals/abc-model.glb'), { size: 15 });
+    });
+
+    test('putBuffer / downloadFile', async () => {
+      await storage.putBuffer('db/db.json', Buffer.from('{"version":2}'));
+      const target = path.join(tmp, 'db.json');
+      assert.equal(await storage.downloadFile('db/db.json', target), true);
+      assert.equal(fs.readFileSync(target, 'utf8'), '{"version":2}');
+    });
+
+    test('missing keys are null / false, not errors', async () => {
+      assert.equal(await storage.getBuffer('originals/missing.glb'), null);
+      assert.equal(await storage.stat('originals/missing.glb'), null);
+      assert.equal(await storage.downloadFile('originals/missing.glb', path.join(tmp, 'missing.glb')), false);
+      assert.equal(await storage.remove('originals/missing.glb'), false);
+    });
+
+    test('list returns keys and sizes under a prefix', async () => {
+      await storage.putBuffer('optimized/abc-model.glb', Buffer.alloc(7));
+      await storage.putBuffer('optimized/abc-model.mobile.glb', Buffer.alloc(3));
+      const listed = (await storage.list('optimized/')).sort((a, b) => a.key.localeCompare(b.key));
+      assert.deepEqual(listed, [
+        { key: 'optimized/abc-model.glb', size: 7 },
+        { key: 'optimized/abc-model.mobile.glb', size: 3 }
+      ]);
+      assert.deepEqual(await storage.list('nothing-here/'), []);
+    });
+
+    test('remove deletes the object', async () => {
+      await storage.putBuffer('optimized/gone.glb', Buffer.alloc(1));
+      assert.equal(await storage.remove('optimized/gone.glb'), true);
+      assert.equal(await storage.stat('optimized/gone.glb'), null);
+    });
+
+    test('url is a short-lived link to the object (local: none, served by the app)', async () => {
+      await storage.putBuffer('optimized/linked.glb', Buffer.from('linked'));
+      const url = await storage.url('optimized/linked.glb', { expiresInSeconds: 60 });
+      if (storage.pathFor) {
+        assert.equal(url, null);
+        assert.equal(fs.readFileSync(storage.pathFor('optimized/linked.glb'), 'utf8'), 'linked');
+        return;
+      }
+      const res = await fetch(url);
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('content-type'), 'model/gltf-binary');
+      assert.equal(await res.text(), 'linked');
+    });
+  });
+}
+
+contract('local', async (tmp) => ({
+  storage: openStorage({ driver: 'local', env: {}, dataDir: tmp })
+}));
+
+contract('s3', async (tmp) => {
+  const server = new S3rver({
+    address: '127.0.0.1',
+    port: 0,
+    silent: true,
+    directory: path.join(tmp, 's3rver'),
+    configureBuckets: [{ name: BUCKET }]
+  });
+  const { port } = await server.run();
+  const storage = openStorage({
+    driver: 's3',
+    env: {
+      S3_BUCKET: BUCKET,
+      S3_ENDPOINT: `http://127.0.0.1:${port}`,
+      S3_ACCESS_KEY_ID: 'S3RVER',
+      S3_SECRET_ACCESS_KEY: 'S3RVER'
+    }
+  });
+  return { storage, teardown: () => server.close() };
+});
+
+test('local driver never resolves a key outside its root', () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'webar-local-'));
+  try {
+    const storage = openStorage({ driver: 'local', env: {}, dataDir: tmp });
+    assert.throws(() => storage.pathFor('../secrets.json'), /Invalid storage key/);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,157 @@
+// ═══════════════════════════════════════════════════════════════════
+// VARIANT VERIFICATION (optimize_models.mjs): a variant whose skin data was lost
+// fails the read-back check, a sound one passes, and a static model whose Draco
+// file fails is written again with Meshopt.
+// ═══════════════════════════════════════════════════════════════════
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { NodeIO, Document } from '@gltf-transform/core';
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions';
+import { cloneDocument, quantize } from '@gltf-transform/functions';
+import { MeshoptEncoder, MeshoptDecoder } from 'meshoptimizer';
+import draco3d from 'draco3dgltf';
+import { summarizeModel, compareSummaries, verifyVariant, writeDesktopVariant } from '../optimize_models.mjs';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'webar-verify-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+await MeshoptDecoder.ready;
+await MeshoptEncoder.ready;
+const codecs = {
+  'draco3d.encoder': await draco3d.createEncoderModule(),
+  'draco3d.decoder': await draco3d.createDecoderModule(),
+  'meshopt.encoder': MeshoptEncoder,
+  'meshopt.decoder': MeshoptDecoder
+};
+const io = new NodeIO().registerExtensions(ALL_EXTENSIONS).registerDependencies(codecs);
+
+// A 2 × 20 vertex strip, optionally skinned to a two-joint chain with a 1s bend clip
+function stripModel({ skinned }) {
+  const doc = new Document();
+  const buffer = doc.createBuffer();
+  const accessor = (type, array) => doc.createAccessor().setType(type).setArray(array).setBuffer(buffer);
+  const rows = 20;
+  const positions = [], joints = [], weights = [], indices = [];
+  for (let r = 0; r < rows; r++) {
+    const t = r / (rows - 1);
+    positions.push(0, t, 0, 0.2, t, 0);
+    joints.push(0, 1, 0, 0, 0, 1, 0, 0);
+    weights.push(1 - t, t, 0, 0, 1 - t, t, 0, 0);
+  }
+  for (let r = 0; r < rows - 1; r++) {
+    const i = r * 2;
+    indices.push(i, i + 1, i + 2, i + 1, i + 3, i + 2);
+  }
+  const prim = doc.createPrimitive()
+    .setAttribute('POSITION', accessor('VEC3', new Float32Array(positions)))
+    .setIndices(accessor('SCALAR', new Uint16Array(indices)));
+  const body = doc.createNode('body').setMesh(doc.createMesh('strip').addPrimitive(prim));
+  const scene = doc.createScene().addChild(body);
+  if (!skinned) return doc;
+
+  prim.setAttribute('JOINTS_0', accessor('VEC4', new Uint16Array(joints)))
+    .setAttribute('WEIGHTS_0', accessor('VEC4', new Float32Array(weights)));
+  const root = doc.createNode('root');
+  const tip = doc.createNode('tip').setTranslation([0, 0.5, 0]);
+  root.addChild(tip);
+  scene.addChild(root);
+  body.setSkin(doc.createSkin()
+    .addJoint(root)
+    .addJoint(tip)
+    .setInverseBindMatrices(accessor('MAT4', new Float32Array([
+      1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1,
+      1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, -0.5, 0, 1
+    ]))));
+  const sampler = doc.createAnimationSampler()
+    .setInput(accessor('SCALAR', new Float32Array([0, 1])))
+    .setOutput(accessor('VEC4', new Float32Array([0, 0, 0, 1, 0, 0, 0.383, 0.924])));
+  doc.createAnimation('bend')
+    .addSampler(sampler)
+    .addChannel(doc.createAnimationChannel().setTargetNode(tip).setTargetPath('rotation').setSampler(sampler));
+  return doc;
+}
+
+function skinnedPrimitives(doc) {
+  return doc.getRoot().listNodes().filter(n => n.getSkin()).flatMap(n => n.getMesh().listPrimitives());
+}
+
+test('a Meshopt + quantized skinned variant passes verification', async () => {
+  const doc = stripModel({ skinned: true });
+  const source = summarizeModel(doc);
+  assert.deepEqual(source.joints, [2]);
+  assert.equal(source.weightedPrimitives, 1);
+
+  // Same steps as the optimizer: quantize everything but the skin attributes, then Meshopt
+  await doc.transform(quantize({ excludeAttributes: ['JOINTS_0', 'JOINTS_1', 'WEIGHTS_0', 'WEIGHTS_1'] }));
+  const file = path.join(tmp, 'skinned.glb');
+  assert.equal(await writeDesktopVariant(io, doc, file, source), 'meshopt');
+  assert.equal(await verifyVariant(file, source, 'desktop'), true);
+});
+
+test('a skinned variant without JOINTS/WEIGHTS (Draco damage) fails verification', async () => {
+  const doc = stripModel({ skinned: true });
+  const source = summarizeModel(doc);
+  const broken = cloneDocument(doc);
+  skinnedPrimitives(broken).forEach(p => p.setAttribute('JOINTS_0', null).setAttribute('WEIGHTS_0', null));
+
+  assert.match(compareSummaries(source, summarizeModel(broken)).join('; '), /skin weights lost: 0\/1/);
+  const file = path.join(tmp, 'no-skin-attributes.glb');
+  await io.write(file, broken);
+  assert.equal(await verifyVariant(file, source, 'desktop'), false);
+});
+
+test('a skinned variant whose weights were quantized away fails verification', async () => {
+  const doc = stripModel({ skinned: true });
+  const source = summarizeModel(doc);
+  const broken = cloneDocument(doc);
+  // What a too-coarse quantization of WEIGHTS_0 leaves: every weight rounded to zero
+  skinnedPrimitives(broken).forEach(p => p.getAttribute('WEIGHTS_0').setArray(new Float32Array(20 * 2 * 4)));
+
+  assert.match(compareSummaries(source, summarizeModel(broken)).join('; '), /skin weights lost/);
+  const file = path.join(tmp, 'zero-weights.glb');
+  await io.write(file, broken);
+  assert.equal(await verifyVariant(file, source, 'desktop'), false);
+});
+
+test('a variant that lost an animation fails verification', () => {
+  const doc = stripModel({ skinned: true });
+  const source = summarizeModel(doc);
+  const broken = cloneDocument(doc);
+  broken.getRoot().listAnimations().forEach(a => a.dispose());
+  assert.match(compareSummaries(source, summarizeModel(broken)).join('; '), /animations: 0, source has 1/);
+});
+
+test('a static model whose Draco file fails verification is rewritten with Meshopt', async () => {
+  // Stand-in for a Draco encoder that mangles the geometry it writes
+  class LossyDracoIO extends NodeIO {
+    async write(uri, doc) {
+      const usesDraco = doc.getRoot().listExtensionsUsed().some(e => e.extensionName === 'KHR_draco_mesh_compression');
+      if (!usesDraco) return super.write(uri, doc);
+      const mangled = cloneDocument(doc);
+      mangled.getRoot().listNodes().forEach(n => n.setScale([3, 3, 3]));
+      return super.write(uri, mangled);
+    }
+  }
+  const lossyIO = new LossyDracoIO().registerExtensions(ALL_EXTENSIONS).registerDependencies(codecs);
+
+  const doc = stripModel({ skinned: false });
+  const source = summarizeModel(doc);
+  const file = path.join(tmp, 'static.glb');
+  assert.equal(await writeDesktopVariant(lossyIO, doc, file, source), 'meshopt');
+
+  const written = await io.read(file);
+  const used = written.getRoot().listExtensionsUsed().map(e => e.extensionName);
+  assert.ok(used.includes('EXT_meshopt_compression'));
+  assert.ok(!used.includes('KHR_draco_mesh_compression'));
+  assert.deepEqual(compareSummaries(source, summarizeModel(written)), []);
+});
+
+test('a static model whose Draco file verifies keeps Draco', async () => {
+  const doc = stripModel({ skinned: false });
+  const source = summarizeModel(doc);
+  const file = path.join(tmp, 'static-draco.glb');
+  assert.equal(await writeDesktopVariant(io, doc, file, source), 'draco');
+});